@@ -0,0 +1,184 @@
+const fs = require('fs').promises;
+const { isDeepStrictEqual } = require('util');
+const { parseMessageMatcher } = require('./dialog-rules');
+const { parseUrlMatcher } = require('./network-rules');
+
+// Each assertion is identified by the field naming what it checks
+const ASSERTION_TYPES = ['selector', 'storage', 'console', 'request'];
+
+// How often failing assertions are checked again until the timeout
+const POLL_INTERVAL = 100;
+
+const matchesText = (matcher, value) => matcher instanceof RegExp ? matcher.test(value) : value.includes(matcher);
+const showMatcher = (matcher) => matcher instanceof RegExp ? String(matcher) : JSON.stringify(matcher);
+
+/**
+ * Validates an assertion and fills in its defaults.
+ * @param {object} assertion - An assertion as written in the spec, see the README.
+ * @param {string} origin - Where the assertion came from, for error messages.
+ * @returns {object} - The normalized assertion.
+ * @throws {Error} - If the assertion is invalid.
+ */
+function normalizeAssertion(assertion, origin) {
+    if (!assertion || typeof assertion !== 'object') {
+        throw new Error(`Assertion ${origin} must be an object.`);
+    }
+    const types = ASSERTION_TYPES.filter(type => assertion[type] !== undefined);
+    if (types.length !== 1) {
+        throw new Error(`Assertion ${origin} needs exactly one of: ${ASSERTION_TYPES.join(', ')}.`);
+    }
+    const type = types[0];
+    if (typeof assertion[type] !== 'string' || !assertion[type]) {
+        throw new Error(`Assertion ${origin} has an empty ${type}.`);
+    }
+    if (assertion.text !== undefined && type !== 'selector') {
+        throw new Error(`Assertion ${origin}: "text" only applies to selector assertions.`);
+    }
+    if (assertion.equals !== undefined && type !== 'storage') {
+        throw new Error(`Assertion ${origin}: "equals" only applies to storage assertions.`);
+    }
+    if (assertion.method !== undefined && type !== 'request') {
+        throw new Error(`Assertion ${origin}: "method" only applies to request assertions.`);
+    }
+
+    // Both parsers drop the g and y flags, so an assertion that is checked again doesn't alternate between passing and failing
+    let matcher;
+    try {
+        if (type === 'console') matcher = parseMessageMatcher(assertion.console);
+        if (type === 'request') matcher = parseUrlMatcher(assertion.request);
+    } catch (e) {
+        throw new Error(`Assertion ${origin}: ${e.message}`);
+    }
+    return {
+        type,
+        target: assertion[type], // The selector, storage key, console message or URL pattern as written
+        matcher,
+        text: assertion.text === undefined ? undefined : parseMessageMatcher(String(assertion.text)),
+        equals: assertion.equals,
+        method: assertion.method === undefined ? null : String(assertion.method).toUpperCase(),
+        script: assertion.script, // Storage assertions: the script's @name, if several scripts are loaded
+        not: Boolean(assertion.not),
+        origin,
+    };
+}
+
+/**
+ * Loads assertions from a JSON file holding an array of assertions, or an object with an `assertions` array.
+ * @param {string} file - Path to the JSON file.
+ * @returns {Promise<object[]>} - Normalized assertions.
+ * @throws {Error} - If the file can't be read or an assertion is invalid.
+ */
+async function loadAssertions(file) {
+    let data;
+    try {
+        data = JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (err) {
+        throw new Error(`Error reading assertions file "${file}": ${err.message}`);
+    }
+    const fileAssertions = Array.isArray(data) ? data : data?.assertions;
+    if (!Array.isArray(fileAssertions)) {
+        throw new Error(`Assertions file "${file}" must contain an array of assertions or an object with an "assertions" array.`);
+    }
+    return fileAssertions.map((assertion, index) => normalizeAssertion(assertion, `#${index + 1} in "${file}"`));
+}
+
+/**
+ * Describes an assertion for reports, e.g. `selector "#banner" has text "Welcome"`.
+ * @param {object} assertion - A normalized assertion.
+ * @returns {string}
+ */
+function describeAssertion(assertion) {
+    const negation = assertion.not ? 'not ' : '';
+    switch (assertion.type) {
+        case 'selector':
+            return assertion.text === undefined
+                ? `selector "${assertion.target}" ${negation}exists`
+                : `selector "${assertion.target}" ${assertion.not ? 'does not have' : 'has'} text ${showMatcher(assertion.text)}`;
+        case 'storage':
+            return assertion.equals === undefined
+                ? `storage key "${assertion.target}" ${negation}exists`
+                : `storage key "${assertion.target}" ${negation}equals ${JSON.stringify(assertion.equals)}`;
+        case 'console':
+            return `console message ${showMatcher(assertion.matcher)} was ${negation}seen`;
+        case 'request':
+        default:
+            return `request ${assertion.method ? `${assertion.method} ` : ''}${assertion.target} was ${negation}made`;
+    }
+}
+
+// Checks one assertion once. Returns whether the checked condition holds (before `not`) and what was found.
+const checkCondition = async (assertion, { page, getStorage, consoleMessages, requests }) => {
+    switch (assertion.type) {
+        case 'selector': {
+            const texts = await page.$$eval(assertion.target, elements => elements.map(element => element.textContent || ''));
+            if (assertion.text === undefined) {
+                return { holds: texts.length > 0, found: `${texts.length} matching elements` };
+            }
+            return {
+                holds: texts.some(text => matchesText(assertion.text, text)),
+                found: texts.length === 0 ? 'no matching elements' : `texts ${JSON.stringify(texts.map(text => text.trim().slice(0, 100)))}`,
+            };
+        }
+        case 'storage': {
+            const values = getStorage(assertion.script);
+            const exists = Object.prototype.hasOwnProperty.call(values, assertion.target);
+            const found = exists ? `value ${JSON.stringify(values[assertion.target])}` : 'no such key';
+            return { holds: exists && (assertion.equals === undefined || isDeepStrictEqual(values[assertion.target], assertion.equals)), found };
+        }
+        case 'console': {
+            const seen = consoleMessages.filter(message => matchesText(assertion.matcher, message.text));
+            return { holds: seen.length > 0, found: `${seen.length} of ${consoleMessages.length} messages matched` };
+        }
+        case 'request':
+        default: {
+            const made = requests.filter(request => assertion.matcher.test(request.url) && (!assertion.method || request.method === assertion.method));
+            return { holds: made.length > 0, found: `${made.length} of ${requests.length} requests matched` };
+        }
+    }
+};
+
+/**
+ * Checks assertions against a run, retrying failing ones until they pass or the timeout runs out,
+ * so scripts that work asynchronously get time to finish.
+ * @param {object[]} assertions - Assertions from loadAssertions.
+ * @param {object} state - What the assertions are checked against.
+ * @param {import('playwright').Page} state.page - The page selector assertions are checked in (its main frame).
+ * @param {Function} state.getStorage - Called with a storage assertion's `script` (or undefined); returns that script's GM values.
+ * @param {Array<{ type: string, text: string }>} state.consoleMessages - Console messages seen so far.
+ * @param {Array<{ method: string, url: string }>} state.requests - Requests made so far, by pages and for GM_xmlhttpRequest/GM_download.
+ * @param {object} [options]
+ * @param {number} [options.timeout=5000] - How long failing assertions are retried.
+ * @returns {Promise<Array<{ description: string, passed: boolean, message: string, origin: string }>>} - One result per assertion.
+ */
+async function runAssertions(assertions, state, { timeout = 5000 } = {}) {
+    const deadline = Date.now() + timeout;
+    for (;;) {
+        const results = [];
+        for (const assertion of assertions) {
+            let passed;
+            let message;
+            try {
+                const { holds, found } = await checkCondition(assertion, state);
+                passed = holds !== assertion.not;
+                message = found;
+            } catch (checkError) {
+                passed = false; // e.g. an invalid selector, or the page navigating during the check
+                message = checkError.message;
+            }
+            results.push({ description: describeAssertion(assertion), passed, message, origin: assertion.origin });
+        }
+        if (results.every(result => result.passed) || Date.now() >= deadline) {
+            return results;
+        }
+        await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL));
+    }
+}
+
+
+module.exports = {
+    loadAssertions,
+    runAssertions,
+    normalizeAssertion, // Also used by the test runner to check specs before starting runs
+    // Internal helpers not exported by default
+    // describeAssertion
+};
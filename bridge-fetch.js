@@ -0,0 +1,183 @@
+const { buildCookieHeader, parseSetCookie } = require('./cookie-utils');
+const { createNotFoundResponse } = require('./har-archive');
+const { logger } = require('./logger');
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+const MAX_REDIRECTS = 20; // Same limit as browsers
+
+/**
+ * Creates the fetch function behind the GM_xmlhttpRequest and GM_download bridges.
+ * Requests are made from Node.js, but share the browser context's cookie jar: unless a request is
+ * anonymous, the context's cookies are sent like the page's own requests would send them, and
+ * Set-Cookie headers are stored back into the context. Redirects are followed here rather than by
+ * fetch, so cookies are sent and stored on every hop and each hop can be checked (e.g. against @connect).
+ * With a HAR recorder every hop is recorded; with a HAR replayer hops are answered from the archive.
+ * @param {import('playwright').BrowserContext} context - The browser context.
+ * @param {object} [options]
+ * @param {object | null} [options.harRecorder] - Recorder from createBridgeHarRecorder (--record-har).
+ * @param {object | null} [options.harReplayer] - Replayer from loadHarReplayer (--replay-har).
+ * @param {string} [options.unmatchedPolicy='fail'] - What to do with requests missing from the archive: 'fail', 'passthrough' or '404'.
+ * @param {Function} [options.onUnmatched] - Called with (method, url) for each request missing from the archive.
+ * @param {object | null} [options.fixtureResponder] - Responder from createXhrFixtureResponder (--xhr-fixtures). Fixtures
+ *   answer requests made with `useFixtures`, before the HAR archive and the network.
+ * @param {string} [options.fixtureUnmatchedPolicy='passthrough'] - 'passthrough' or 'fail' for requests no fixture matches.
+ * @param {Function} [options.onRequest] - Called with (method, url) for every hop, however it is answered (--assertions).
+ * @returns {Function} - bridgeFetch(url, options), see below.
+ */
+function createBridgeFetch(context, {
+    harRecorder = null,
+    harReplayer = null,
+    unmatchedPolicy = 'fail',
+    onUnmatched = () => {},
+    fixtureResponder = null,
+    fixtureUnmatchedPolicy = 'passthrough',
+    onRequest = () => {},
+} = {}) {
+    // Headers for one request hop, with the context's cookies for the URL merged into any Cookie header
+    const buildRequestHeaders = async (requestUrl, requestHeaders, anonymous, extraCookies) => {
+        const contextCookies = anonymous ? [] : await context.cookies(requestUrl);
+        const cookieHeader = buildCookieHeader(contextCookies, extraCookies);
+        if (!cookieHeader) return requestHeaders;
+
+        const existingCookieKey = Object.keys(requestHeaders).find(key => key.toLowerCase() === 'cookie');
+        if (!existingCookieKey) {
+            return { ...requestHeaders, Cookie: cookieHeader };
+        }
+        return { ...requestHeaders, [existingCookieKey]: `${requestHeaders[existingCookieKey]}; ${cookieHeader}` };
+    };
+
+    // Sends one hop, from the HAR archive when replaying. Set-Cookie headers are returned separately
+    // because a Response built from the archive can't carry them.
+    const sendRequest = async (requestUrl, init, label, useFixtures) => {
+        if (useFixtures && fixtureResponder) {
+            const fixtureResult = await fixtureResponder.respond({ url: requestUrl, method: init.method, signal: init.signal });
+            if (fixtureResult) {
+                logger.log(`[Bridge] ${label} answered by fixture ${fixtureResult.fixture.origin}: ${init.method} ${requestUrl} -> ${fixtureResult.response.status}`);
+                return fixtureResult;
+            }
+            if (fixtureUnmatchedPolicy === 'fail') {
+                throw new Error(`No GM_xmlhttpRequest fixture matches ${init.method} ${requestUrl}`);
+            }
+            logger.warn(`[Bridge] ${label} has no fixture, sending it on: ${init.method} ${requestUrl}`);
+        }
+        if (harReplayer && !requestUrl.startsWith('data:')) { // data: URLs never touch the network
+            init.signal?.throwIfAborted();
+            const replayed = harReplayer.findResponse({ url: requestUrl, method: init.method, body: init.body });
+            if (replayed) {
+                logger.log(`[Bridge] ${label} replayed from HAR: ${init.method} ${requestUrl} -> ${replayed.response.status}`);
+                return replayed;
+            }
+            onUnmatched(init.method, requestUrl);
+            if (unmatchedPolicy === 'fail') {
+                throw new Error(`No response for ${init.method} ${requestUrl} in the HAR archive`);
+            }
+            if (unmatchedPolicy === '404') {
+                logger.warn(`[Bridge] ${label} not in HAR, answering 404: ${init.method} ${requestUrl}`);
+                return { response: createNotFoundResponse(), setCookies: [] };
+            }
+            logger.warn(`[Bridge] ${label} not in HAR, sending to the network: ${init.method} ${requestUrl}`);
+        }
+        const startedAt = Date.now();
+        const response = await fetch(requestUrl, init);
+        harRecorder?.record({ url: requestUrl, method: init.method, headers: init.headers, body: init.body }, response, startedAt);
+        return { response, setCookies: response.headers.getSetCookie() };
+    };
+
+    // Writes a response's Set-Cookie headers to the context's cookie jar
+    const storeResponseCookies = async (setCookies, requestUrl, label) => {
+        const cookies = setCookies
+            .map(header => parseSetCookie(header, requestUrl))
+            .filter(cookie => cookie);
+        if (cookies.length === 0) return;
+        try {
+            await context.addCookies(cookies);
+            logger.log(`[Bridge] ${label} stored ${cookies.length} cookies from ${requestUrl}`);
+        } catch (cookieError) {
+            logger.warn(`[Bridge] Error storing cookies from ${requestUrl}:`, cookieError.message);
+        }
+    };
+
+    /**
+     * Fetches a URL, following redirects according to `redirect`.
+     * @param {string} url - The request URL.
+     * @param {object} [options]
+     * @param {string} [options.method='GET'] - The request method.
+     * @param {object} [options.headers] - Request headers.
+     * @param {*} [options.body] - The request body.
+     * @param {AbortSignal} [options.signal] - Aborts the request.
+     * @param {boolean} [options.anonymous=false] - Don't send or store the context's cookies.
+     * @param {string} [options.cookie] - Extra cookies to send ("a=1; b=2").
+     * @param {string} [options.redirect='follow'] - 'follow', 'error' (fail on a redirect) or 'manual' (return the redirect response).
+     * @param {Function} [options.checkUrl] - Called with the URL of every hop before it is requested; throw to stop the request.
+     * @param {string} [options.label='Bridge fetch'] - Name used in log messages.
+     * @param {boolean} [options.useFixtures=false] - Answer from GM_xmlhttpRequest fixtures if one matches.
+     * @returns {Promise<{ response: Response, finalUrl: string }>} - The last response and the URL it came from.
+     * @throws {Error} - On network errors, aborts, too many redirects, errors thrown by checkUrl, or fixtures that
+     *   fail or time out (the latter with name 'TimeoutError').
+     */
+    return async function bridgeFetch(url, {
+        method = 'GET',
+        headers = {},
+        body,
+        signal,
+        anonymous = false,
+        cookie,
+        redirect = 'follow',
+        checkUrl = () => {},
+        label = 'Bridge fetch',
+        useFixtures = false,
+    } = {}) {
+        let requestUrl = url;
+        let requestMethod = (method || 'GET').toUpperCase();
+        let requestBody = body;
+        const requestHeaders = { ...headers };
+
+        for (let redirectCount = 0; ; redirectCount++) {
+            checkUrl(requestUrl);
+            onRequest(requestMethod, requestUrl);
+            const { response, setCookies } = await sendRequest(requestUrl, {
+                method: requestMethod,
+                headers: await buildRequestHeaders(requestUrl, requestHeaders, anonymous, cookie),
+                body: requestBody,
+                signal,
+                redirect: 'manual',
+            }, label, useFixtures);
+            if (!anonymous) {
+                await storeResponseCookies(setCookies, requestUrl, label);
+            }
+
+            const location = response.headers.get('location');
+            if (!REDIRECT_STATUSES.includes(response.status) || !location || redirect === 'manual') {
+                return { response, finalUrl: requestUrl };
+            }
+            if (redirect === 'error') {
+                throw new Error(`Request was redirected to ${location}, but the redirect option is "error"`);
+            }
+            if (redirectCount >= MAX_REDIRECTS) {
+                throw new Error(`Too many redirects (more than ${MAX_REDIRECTS})`);
+            }
+
+            await response.body?.cancel(); // The redirect's own body is never used
+            const nextUrl = new URL(location, requestUrl).href;
+            // Like browsers: 303, and 301/302 after a POST, continue as a GET without a body
+            if (response.status === 303 || ([301, 302].includes(response.status) && requestMethod === 'POST')) {
+                requestMethod = 'GET';
+                requestBody = undefined;
+                delete requestHeaders['Content-Type'];
+                delete requestHeaders['content-type'];
+            }
+            // Credentials given for one origin aren't sent to another
+            if (new URL(nextUrl).origin !== new URL(requestUrl).origin) {
+                delete requestHeaders['Authorization'];
+                delete requestHeaders['authorization'];
+            }
+            logger.log(`[Bridge] ${label} redirect: ${response.status} -> ${nextUrl}`);
+            requestUrl = nextUrl;
+        }
+    };
+}
+
+
+module.exports = {
+    createBridgeFetch,
+};
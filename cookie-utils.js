@@ -0,0 +1,108 @@
+const { URL } = require('url');
+
+/**
+ * Builds a Cookie request header value.
+ * @param {Array<{ name: string, value: string }>} cookies - Cookies from the browser context's jar.
+ * @param {string} [extraCookies] - Cookies to add, as written in the GM_xmlhttpRequest `cookie` field ("a=1; b=2").
+ * @returns {string} - The header value, or an empty string if there are no cookies.
+ */
+function buildCookieHeader(cookies, extraCookies = '') {
+    const pairs = cookies.map(cookie => `${cookie.name}=${cookie.value}`);
+    if (extraCookies && extraCookies.trim()) {
+        pairs.push(extraCookies.trim().replace(/;$/, ''));
+    }
+    return pairs.join('; ');
+}
+
+/**
+ * Returns the default cookie path for a request URL: the directory of its path (RFC 6265, section 5.1.4).
+ * @param {URL} url - The request URL.
+ * @returns {string}
+ */
+function getDefaultCookiePath(url) {
+    const lastSlash = url.pathname.lastIndexOf('/');
+    return lastSlash > 0 ? url.pathname.slice(0, lastSlash) : '/';
+}
+
+/**
+ * Parses a Set-Cookie response header into a cookie for Playwright's BrowserContext.addCookies.
+ * @param {string} header - One Set-Cookie header value.
+ * @param {string} requestUrl - The URL of the request the response belongs to.
+ * @returns {object | null} - The cookie, or null if it is malformed or its Domain doesn't cover the request host.
+ */
+function parseSetCookie(header, requestUrl) {
+    const [pair, ...attributes] = header.split(';');
+    const separatorIndex = pair.indexOf('=');
+    const name = separatorIndex === -1 ? '' : pair.slice(0, separatorIndex).trim();
+    if (!name) return null; // Playwright can't store nameless cookies
+
+    const url = new URL(requestUrl);
+    const cookie = {
+        name,
+        value: pair.slice(separatorIndex + 1).trim(),
+        domain: url.hostname, // Host-only unless a Domain attribute says otherwise
+        path: getDefaultCookiePath(url),
+        expires: -1, // Session cookie
+        httpOnly: false,
+        secure: false,
+        sameSite: 'Lax',
+    };
+
+    let hasMaxAge = false; // Max-Age takes precedence over Expires
+    for (const attribute of attributes) {
+        const separator = attribute.indexOf('=');
+        const key = (separator === -1 ? attribute : attribute.slice(0, separator)).trim().toLowerCase();
+        const value = separator === -1 ? '' : attribute.slice(separator + 1).trim();
+
+        switch (key) {
+            case 'domain': {
+                const domain = value.replace(/^\./, '').toLowerCase();
+                if (!domain) break;
+                if (url.hostname !== domain && !url.hostname.endsWith(`.${domain}`)) {
+                    return null; // A server can't set cookies for a domain it isn't part of
+                }
+                cookie.domain = `.${domain}`; // Leading dot: also sent to subdomains
+                break;
+            }
+            case 'path':
+                if (value.startsWith('/')) cookie.path = value;
+                break;
+            case 'expires': {
+                const time = Date.parse(value);
+                if (!hasMaxAge && !Number.isNaN(time)) {
+                    // Playwright only accepts -1 or a positive time; a time in the past deletes the cookie
+                    cookie.expires = Math.max(1, Math.floor(time / 1000));
+                }
+                break;
+            }
+            case 'max-age': {
+                const seconds = parseInt(value, 10);
+                if (!Number.isNaN(seconds)) {
+                    hasMaxAge = true;
+                    cookie.expires = seconds <= 0 ? 1 : Math.floor(Date.now() / 1000) + seconds;
+                }
+                break;
+            }
+            case 'secure':
+                cookie.secure = true;
+                break;
+            case 'httponly':
+                cookie.httpOnly = true;
+                break;
+            case 'samesite': {
+                const sameSite = value.toLowerCase();
+                cookie.sameSite = sameSite === 'strict' ? 'Strict' : sameSite === 'none' ? 'None' : 'Lax';
+                break;
+            }
+        }
+    }
+    return cookie;
+}
+
+
+module.exports = {
+    buildCookieHeader,
+    parseSetCookie,
+    // Internal helpers not exported by default
+    // getDefaultCookiePath
+};
@@ -0,0 +1,172 @@
+const fs = require('fs').promises;
+
+// Dialog types reported by Playwright's Dialog.type()
+const DIALOG_TYPES = ['alert', 'confirm', 'prompt', 'beforeunload'];
+const DIALOG_ACTIONS = ['accept', 'dismiss'];
+
+/**
+ * Converts a message matcher to a RegExp or a plain string.
+ * Matchers wrapped in slashes (e.g. /api key/i) are regular expressions, like @include rules;
+ * anything else matches messages containing that text.
+ * The g and y flags are dropped: with them test() starts where the last match ended, so a rule
+ * would only match every other message.
+ * @param {string} matcher - The message matcher as written in the rule.
+ * @param {object} [options]
+ * @param {boolean} [options.keepAllFlags=false] - Keep g and y, for matchers used with replace().
+ * @returns {RegExp | string}
+ * @throws {Error} - If the regular expression is invalid.
+ */
+function parseMessageMatcher(matcher, { keepAllFlags = false } = {}) {
+    const regexMatcher = matcher.match(/^\/(.+)\/([a-z]*)$/);
+    if (!regexMatcher) return matcher;
+    try {
+        return new RegExp(regexMatcher[1], keepAllFlags ? regexMatcher[2] : regexMatcher[2].replace(/[gy]/g, ''));
+    } catch (e) {
+        throw new Error(`Invalid regular expression "${matcher}": ${e.message}`);
+    }
+}
+
+/**
+ * Validates a dialog rule and fills in its defaults.
+ * @param {object} rule - A rule as written in the rules file: { type?, message?, action?, answer?, answerEnv? }.
+ * @param {string} origin - Where the rule came from, for error messages.
+ * @returns {{ type: string, message: RegExp | string | null, action: string, answer?: string, answerEnv?: string, origin: string }}
+ * @throws {Error} - If the rule is invalid.
+ */
+function normalizeRule(rule, origin) {
+    if (!rule || typeof rule !== 'object') {
+        throw new Error(`Dialog rule ${origin} must be an object.`);
+    }
+    const type = rule.type || '*';
+    if (type !== '*' && !DIALOG_TYPES.includes(type)) {
+        throw new Error(`Dialog rule ${origin} has unknown type "${type}". Expected one of: *, ${DIALOG_TYPES.join(', ')}.`);
+    }
+    // A rule with an answer accepts the prompt with it, so the action may be left out
+    const hasAnswer = rule.answer !== undefined || rule.answerEnv !== undefined;
+    const action = rule.action || (hasAnswer ? 'accept' : null);
+    if (!DIALOG_ACTIONS.includes(action)) {
+        throw new Error(`Dialog rule ${origin} needs an action ("accept" or "dismiss"), or an answer for prompts.`);
+    }
+    if (hasAnswer && action !== 'accept') {
+        throw new Error(`Dialog rule ${origin} has an answer but dismisses the dialog.`);
+    }
+    if (rule.answerEnv !== undefined && !String(rule.answerEnv).trim()) {
+        throw new Error(`Dialog rule ${origin} has an empty environment variable name.`);
+    }
+    return {
+        type,
+        message: rule.message ? parseMessageMatcher(String(rule.message)) : null,
+        action,
+        ...(rule.answer !== undefined && { answer: String(rule.answer) }),
+        ...(rule.answerEnv !== undefined && { answerEnv: String(rule.answerEnv) }),
+        origin,
+    };
+}
+
+/**
+ * Parses a dialog rule given on the command line.
+ * Format: `[type][:message]=action`, where action is `accept`, `dismiss` or `env:NAME`
+ * (accept a prompt with the value of environment variable NAME). The last '=' separates the action,
+ * so messages may contain '='. Examples: `prompt:/API key/i=env:API_KEY`, `confirm=accept`, `Leave page?=dismiss`.
+ * @param {string} spec - The --dialog value.
+ * @returns {object} - A normalized rule.
+ * @throws {Error} - If the rule is invalid.
+ */
+function parseCliRule(spec) {
+    const origin = `"${spec}" (--dialog)`;
+    const separatorIndex = spec.lastIndexOf('=');
+    if (separatorIndex === -1) {
+        throw new Error(`Dialog rule ${origin} is missing "=action".`);
+    }
+    const matcher = spec.slice(0, separatorIndex);
+    const actionSpec = spec.slice(separatorIndex + 1).trim();
+
+    const rule = {};
+    const typeMatch = matcher.match(/^(\*|[a-z]+)(?::(.*))?$/s);
+    if (typeMatch && (typeMatch[1] === '*' || DIALOG_TYPES.includes(typeMatch[1]))) {
+        rule.type = typeMatch[1];
+        rule.message = typeMatch[2];
+    } else {
+        rule.message = matcher; // No type given, only a message
+    }
+
+    if (actionSpec.startsWith('env:')) {
+        rule.answerEnv = actionSpec.slice(4);
+    } else {
+        rule.action = actionSpec;
+    }
+    return normalizeRule(rule, origin);
+}
+
+/**
+ * Loads dialog rules from a JSON file and the command line. File rules come first, then CLI rules,
+ * and the first matching rule handles a dialog.
+ * The file holds an array of rules, or an object with a `rules` array.
+ * @param {object} options
+ * @param {string | null} [options.file] - Path to the JSON rules file.
+ * @param {string[]} [options.cliRules] - --dialog values.
+ * @returns {Promise<object[]>} - Normalized rules.
+ * @throws {Error} - If the file can't be read or a rule is invalid.
+ */
+async function loadDialogRules({ file = null, cliRules = [] } = {}) {
+    const rules = [];
+    if (file) {
+        let data;
+        try {
+            data = JSON.parse(await fs.readFile(file, 'utf8'));
+        } catch (err) {
+            throw new Error(`Error reading dialog rules file "${file}": ${err.message}`);
+        }
+        const fileRules = Array.isArray(data) ? data : data?.rules;
+        if (!Array.isArray(fileRules)) {
+            throw new Error(`Dialog rules file "${file}" must contain an array of rules or an object with a "rules" array.`);
+        }
+        fileRules.forEach((rule, index) => rules.push(normalizeRule(rule, `#${index + 1} in "${file}"`)));
+    }
+    for (const spec of cliRules) {
+        rules.push(parseCliRule(spec));
+    }
+    return rules;
+}
+
+/**
+ * Finds the first rule matching a dialog.
+ * @param {object[]} rules - Rules from loadDialogRules.
+ * @param {string} type - The dialog type.
+ * @param {string} message - The dialog message.
+ * @returns {object | null} - The matching rule, or null.
+ */
+function findDialogRule(rules, type, message) {
+    return rules.find(rule => {
+        if (rule.type !== '*' && rule.type !== type) return false;
+        if (rule.message === null) return true;
+        return rule.message instanceof RegExp ? rule.message.test(message) : message.includes(rule.message);
+    }) || null;
+}
+
+/**
+ * Returns the prompt answer of a rule.
+ * @param {object} rule - A rule from loadDialogRules.
+ * @returns {string | undefined} - The answer, or undefined if the rule has none.
+ * @throws {Error} - If the rule's environment variable is not set.
+ */
+function resolveDialogAnswer(rule) {
+    if (rule.answerEnv !== undefined) {
+        if (process.env[rule.answerEnv] === undefined) {
+            throw new Error(`Environment variable ${rule.answerEnv} for dialog rule ${rule.origin} is not set.`);
+        }
+        return process.env[rule.answerEnv];
+    }
+    return rule.answer;
+}
+
+
+module.exports = {
+    loadDialogRules,
+    findDialogRule,
+    resolveDialogAnswer,
+    parseMessageMatcher, // Also used by notification and network rules
+    // Internal helpers not exported by default
+    // parseCliRule,
+    // normalizeRule
+};
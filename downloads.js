@@ -0,0 +1,115 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+const CONFLICT_ACTIONS = ['uniquify', 'overwrite', 'prompt'];
+
+/**
+ * Checks a download name and turns it into a path relative to the downloads directory.
+ * Like browser extensions' downloads API, names may contain subdirectories ("site/image.png"),
+ * but not absolute paths or ".." segments.
+ * @param {string} name - The requested file name.
+ * @returns {string} - The relative path, with characters that aren't allowed in file names replaced by "_".
+ * @throws {Error} - If the name is empty or would leave the downloads directory.
+ */
+function sanitizeDownloadName(name) {
+    const segments = String(name).split(/[\\/]+/).filter(segment => segment !== '');
+    if (path.isAbsolute(String(name)) || /^[a-zA-Z]:/.test(String(name))) {
+        throw new Error(`Download name "${name}" must be relative to the downloads directory.`);
+    }
+    if (segments.length === 0) {
+        throw new Error('Download name is empty.');
+    }
+    if (segments.some(segment => segment === '..' || segment === '.')) {
+        throw new Error(`Download name "${name}" must not contain "." or ".." segments.`);
+    }
+    return path.join(...segments.map(segment => segment.replace(/[<>:"|?*\x00-\x1f]/g, '_')));
+}
+
+/**
+ * Picks a file name for a download without one: the Content-Disposition filename, or the last segment of the URL.
+ * @param {string} url - The final URL of the download.
+ * @param {string | null} [contentDisposition] - The response's Content-Disposition header.
+ * @returns {string}
+ */
+function guessDownloadName(url, contentDisposition = null) {
+    if (contentDisposition) {
+        const encodedMatch = contentDisposition.match(/filename\*\s*=\s*(?:UTF-8|utf-8)''([^;]+)/);
+        if (encodedMatch) {
+            try {
+                return path.basename(decodeURIComponent(encodedMatch[1].trim()));
+            } catch (e) {
+                // Fall through to the plain filename
+            }
+        }
+        const plainMatch = contentDisposition.match(/filename\s*=\s*"?([^";]+)"?/);
+        if (plainMatch) return path.basename(plainMatch[1].trim());
+    }
+    try {
+        const lastSegment = new URL(url).pathname.split('/').filter(Boolean).pop();
+        if (lastSegment) return decodeURIComponent(lastSegment);
+    } catch (e) {
+        // data: URLs and malformed names fall back to the default
+    }
+    return 'download';
+}
+
+/**
+ * Creates the file a download is written to. The file is created right away so that
+ * concurrent downloads with the same name can't pick the same path.
+ * @param {string} downloadsDir - Absolute path of the downloads directory.
+ * @param {string} name - The file name, see sanitizeDownloadName.
+ * @param {string} [conflictAction='uniquify'] - What to do if the file exists: 'uniquify' adds " (1)", " (2)", ...
+ *   before the extension; 'overwrite' replaces it. 'prompt' can't ask anyone in an automated run and uniquifies.
+ * @returns {Promise<{ filePath: string, handle: import('fs').promises.FileHandle }>} - The path and an open handle for writing.
+ * @throws {Error} - If the name is invalid, conflictAction is unknown, or the file can't be created.
+ */
+async function createDownloadFile(downloadsDir, name, conflictAction = 'uniquify') {
+    if (!CONFLICT_ACTIONS.includes(conflictAction)) {
+        throw new Error(`Unknown conflictAction "${conflictAction}". Expected one of: ${CONFLICT_ACTIONS.join(', ')}.`);
+    }
+    const filePath = path.join(downloadsDir, sanitizeDownloadName(name));
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    if (conflictAction === 'overwrite') {
+        return { filePath, handle: await fs.open(filePath, 'w') };
+    }
+
+    const extension = path.extname(filePath);
+    const base = filePath.slice(0, filePath.length - extension.length);
+    for (let attempt = 0; ; attempt++) {
+        const candidate = attempt === 0 ? filePath : `${base} (${attempt})${extension}`;
+        try {
+            return { filePath: candidate, handle: await fs.open(candidate, 'wx') }; // 'wx' fails if the file exists
+        } catch (openError) {
+            if (openError.code !== 'EEXIST') throw openError;
+        }
+    }
+}
+
+/**
+ * Saves a download started by a page (Playwright's 'download' event) into the downloads directory,
+ * under its suggested file name and never overwriting existing files.
+ * @param {import('playwright').Download} download - The download.
+ * @param {string} downloadsDir - Absolute path of the downloads directory.
+ * @returns {Promise<string>} - The path the file was saved to.
+ * @throws {Error} - If the download failed or couldn't be saved.
+ */
+async function saveBrowserDownload(download, downloadsDir) {
+    const { filePath, handle } = await createDownloadFile(downloadsDir, download.suggestedFilename() || 'download');
+    await handle.close();
+    try {
+        await download.saveAs(filePath);
+    } catch (saveError) {
+        await fs.unlink(filePath).catch(() => {});
+        throw saveError;
+    }
+    return filePath;
+}
+
+
+module.exports = {
+    createDownloadFile,
+    guessDownloadName,
+    saveBrowserDownload,
+    // Internal helpers not exported by default
+    // sanitizeDownloadName
+};
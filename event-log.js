@@ -0,0 +1,137 @@
+const fs = require('fs');
+const { logger } = require('./logger');
+
+const LOG_FORMATS = ['text', 'json'];
+
+// Longer strings in logged arguments are cut, so request bodies and blobs don't flood the log
+const MAX_STRING_LENGTH = 500;
+
+// Credentials in logged arguments, e.g. GM_xmlhttpRequest's user/password or an Authorization header,
+// are replaced by REDACTED. Keys are compared case-insensitively.
+const REDACTED_KEYS = new Set(['user', 'password', 'authorization', 'proxy-authorization', 'cookie', 'set-cookie']);
+const REDACTED = '[redacted]';
+
+// Userscripts are injected with a `//# sourceURL=userscript:///<name>.user.js` comment, see script-wrapper.js
+const USERSCRIPT_SOURCE_PATTERN = /userscript:\/\/\/([^\s:)]+)\.user\.js/;
+
+/**
+ * Makes a value safe to write as JSON: long strings are cut, credentials are redacted and values JSON
+ * can't hold (functions, cycles, BigInts) are replaced by a description.
+ * @param {*} value - The value to log.
+ * @returns {*}
+ */
+function summarizeValue(value) {
+    const seen = new WeakSet();
+    const summarize = (item) => {
+        if (typeof item === 'string') {
+            return item.length > MAX_STRING_LENGTH ? `${item.slice(0, MAX_STRING_LENGTH)}... (${item.length} chars)` : item;
+        }
+        if (typeof item === 'bigint') return item.toString();
+        if (typeof item === 'function') return '[function]';
+        if (item === undefined || item === null || typeof item !== 'object') return item ?? null;
+        if (seen.has(item)) return '[circular]';
+        seen.add(item);
+        if (Array.isArray(item)) return item.map(summarize);
+        return Object.fromEntries(Object.entries(item).map(([key, entryValue]) => [
+            key,
+            REDACTED_KEYS.has(key.toLowerCase()) ? REDACTED : summarize(entryValue),
+        ]));
+    };
+    return summarize(value);
+}
+
+/**
+ * Finds the userscript a console message or error came from, by the sourceURL its code runs under.
+ * @param {string | undefined} source - A script URL or a stack trace.
+ * @returns {string | null} - The script's @name, or null if the source isn't a userscript.
+ */
+function scriptFromSource(source) {
+    const match = source ? USERSCRIPT_SOURCE_PATTERN.exec(source) : null;
+    if (!match) return null;
+    try {
+        return decodeURIComponent(match[1]);
+    } catch (e) {
+        return match[1];
+    }
+}
+
+/**
+ * Creates the structured event log (--log-format json, --log-file). Each event is one JSON object per line
+ * (NDJSON) with `time` and `type` fields. Events go to the log file if there is one, otherwise to stdout in
+ * json format. Without either the log is disabled and emit does nothing.
+ * @param {object} [options]
+ * @param {string} [options.format='text'] - 'text' or 'json'.
+ * @param {string | null} [options.file] - File events are appended to.
+ * @returns {{ enabled: boolean, emit: Function, instrumentBridge: Function, close: Function }}
+ */
+function createEventLog({ format = 'text', file = null } = {}) {
+    const fileStream = file ? fs.createWriteStream(file, { flags: 'a' }) : null;
+    const enabled = Boolean(fileStream) || format === 'json';
+    if (fileStream) {
+        fileStream.on('error', (streamError) => {
+            logger.error(`Error writing event log ${file}:`, streamError.message);
+        });
+    }
+
+    /**
+     * Writes one event.
+     * @param {string} type - The event type, e.g. 'bridge.call'.
+     * @param {object} [data] - The event's fields.
+     * @returns {void}
+     */
+    const emit = (type, data = {}) => {
+        if (!enabled) return;
+        const line = `${JSON.stringify({ time: new Date().toISOString(), type, ...summarizeValue(data) })}\n`;
+        if (fileStream) {
+            fileStream.write(line);
+        } else {
+            process.stdout.write(line);
+        }
+    };
+
+    /**
+     * Wraps a bridge handler so every call is logged as a `bridge.call` event with its arguments,
+     * the calling frame's URL, its duration and its error, if it threw.
+     * @param {string} name - The bridge's name.
+     * @param {Function} handler - The handler passed to exposeBinding or exposeFunction.
+     * @param {object} [options]
+     * @param {boolean} [options.binding=true] - Whether the handler gets exposeBinding's source as first argument.
+     * @returns {Function} - The wrapped handler.
+     */
+    const instrumentBridge = (name, handler, { binding = true } = {}) => {
+        if (!enabled) return handler;
+        return async (...args) => {
+            const startedAt = Date.now();
+            const source = binding ? args[0] : null;
+            const event = { name, args: binding ? args.slice(1) : args, frameUrl: source?.frame?.url() ?? null };
+            try {
+                const result = await handler(...args);
+                emit('bridge.call', { ...event, durationMs: Date.now() - startedAt });
+                return result;
+            } catch (bridgeError) {
+                emit('bridge.call', { ...event, durationMs: Date.now() - startedAt, error: bridgeError.message });
+                throw bridgeError;
+            }
+        };
+    };
+
+    /**
+     * Flushes and closes the log file.
+     * @returns {Promise<void>}
+     */
+    const close = () => new Promise(resolve => {
+        if (!fileStream) return resolve();
+        fileStream.end(resolve);
+    });
+
+    return { enabled, emit, instrumentBridge, close };
+}
+
+
+module.exports = {
+    LOG_FORMATS,
+    createEventLog,
+    scriptFromSource,
+    // Internal helpers not exported by default
+    // summarizeValue
+};
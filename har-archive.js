@@ -0,0 +1,182 @@
+const fs = require('fs').promises;
+
+const UNMATCHED_POLICIES = ['fail', 'passthrough', '404'];
+
+// Value of the HAR `_resourceType` field for requests made by the runner rather than the page
+const BRIDGE_RESOURCE_TYPE = 'gm_bridge';
+
+const toHarHeaders = (headers) => Object.entries(headers || {}).map(([name, value]) => ({ name, value: String(value) }));
+
+// Text content types are stored as text, everything else as base64, like Playwright does
+const isTextContentType = (mimeType) => /^text\/|[/+](json|xml|javascript)\b|^application\/x-www-form-urlencoded/i.test(mimeType);
+
+/**
+ * Creates a recorder for the requests the runner makes on behalf of userscripts (GM_xmlhttpRequest, GM_download).
+ * Playwright records the pages' traffic into the HAR file; these entries are added to the same file
+ * with mergeIntoHar once the browser context is closed.
+ * @returns {{ record: Function, mergeIntoHar: Function }}
+ */
+function createBridgeHarRecorder() {
+    const pendingEntries = []; // Promises of HAR entries, resolved once each body has been read
+
+    /**
+     * Records one request and its response. The response body is read from a clone, so the caller can
+     * still stream the original.
+     * @param {{ url: string, method: string, headers: object, body?: * }} request - The request as sent.
+     * @param {Response} response - The fetch response.
+     * @param {number} startedAt - When the request was sent (ms since the epoch).
+     * @returns {void}
+     */
+    const record = (request, response, startedAt) => {
+        const clone = response.clone();
+        pendingEntries.push((async () => {
+            let buffer;
+            try {
+                buffer = Buffer.from(await clone.arrayBuffer());
+            } catch (readError) {
+                return null; // Aborted or failed while streaming; there is no complete response to replay
+            }
+            const mimeType = response.headers.get('content-type') || 'application/octet-stream';
+            const responseHeaders = [
+                ...[...response.headers.entries()].filter(([name]) => name.toLowerCase() !== 'set-cookie'),
+                ...response.headers.getSetCookie().map(value => ['set-cookie', value]),
+            ].map(([name, value]) => ({ name, value }));
+            const content = isTextContentType(mimeType)
+                ? { size: buffer.length, mimeType, text: buffer.toString('utf8') }
+                : { size: buffer.length, mimeType, text: buffer.toString('base64'), encoding: 'base64' };
+            const requestHeaders = toHarHeaders(request.headers);
+            const requestContentType = requestHeaders.find(header => header.name.toLowerCase() === 'content-type')?.value;
+            const elapsed = Date.now() - startedAt;
+
+            return {
+                startedDateTime: new Date(startedAt).toISOString(),
+                time: elapsed,
+                request: {
+                    method: request.method,
+                    url: request.url,
+                    httpVersion: 'HTTP/1.1',
+                    cookies: [],
+                    headers: requestHeaders,
+                    queryString: [...new URL(request.url).searchParams].map(([name, value]) => ({ name, value })),
+                    ...(typeof request.body === 'string' && {
+                        postData: { mimeType: requestContentType || 'text/plain', text: request.body },
+                    }),
+                    headersSize: -1,
+                    bodySize: typeof request.body === 'string' ? Buffer.byteLength(request.body) : 0,
+                },
+                response: {
+                    status: response.status,
+                    statusText: response.statusText,
+                    httpVersion: 'HTTP/1.1',
+                    cookies: [],
+                    headers: responseHeaders,
+                    content,
+                    redirectURL: response.headers.get('location') || '',
+                    headersSize: -1,
+                    bodySize: buffer.length,
+                },
+                cache: {},
+                timings: { send: 0, wait: elapsed, receive: 0 },
+                _resourceType: BRIDGE_RESOURCE_TYPE,
+            };
+        })());
+    };
+
+    /**
+     * Adds the recorded entries to a HAR file written by Playwright, or writes a new HAR if there is none.
+     * @param {string} file - Path of the HAR file.
+     * @returns {Promise<number>} - The number of entries added.
+     */
+    const mergeIntoHar = async (file) => {
+        const entries = (await Promise.all(pendingEntries)).filter(entry => entry);
+        let har;
+        try {
+            har = JSON.parse(await fs.readFile(file, 'utf8'));
+        } catch (readError) {
+            har = { log: { version: '1.2', creator: { name: 'playwright-userscript-manager', version: '1.0' }, pages: [], entries: [] } };
+        }
+        har.log.entries.push(...entries);
+        har.log.entries.sort((a, b) => Date.parse(a.startedDateTime) - Date.parse(b.startedDateTime));
+        await fs.writeFile(file, JSON.stringify(har, null, 2), 'utf8');
+        return entries.length;
+    };
+
+    return { record, mergeIntoHar };
+}
+
+/**
+ * Loads a HAR file for replaying the runner's own requests. Page requests are replayed by
+ * Playwright's BrowserContext.routeFromHAR from the same file.
+ * @param {string} file - Path of the HAR file.
+ * @returns {Promise<{ findResponse: Function }>}
+ * @throws {Error} - If the file can't be read or isn't a HAR file.
+ */
+async function loadHarReplayer(file) {
+    let har;
+    try {
+        har = JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (err) {
+        throw new Error(`Error reading HAR file "${file}": ${err.message}`);
+    }
+    if (!Array.isArray(har?.log?.entries)) {
+        throw new Error(`"${file}" is not a HAR file (log.entries is missing).`);
+    }
+    const entries = har.log.entries;
+    const timesServed = new Map(); // entry -> count, so repeated requests get the recorded responses in order
+
+    /**
+     * Finds the recorded response for a request and turns it into a fetch Response.
+     * Requests match on method and URL, preferring entries with the same body. Repeated identical requests
+     * get the matching entries in recorded order, then the last one again.
+     * @param {{ url: string, method: string, body?: * }} request - The request.
+     * @returns {{ response: Response, setCookies: string[] } | null} - The response and its Set-Cookie
+     *   headers (which a constructed Response can't carry), or null if nothing matches.
+     */
+    const findResponse = ({ url, method, body }) => {
+        let candidates = entries.filter(entry => entry.request.method === method && entry.request.url === url);
+        if (candidates.length === 0) return null;
+        const sameBody = candidates.filter(entry => (entry.request.postData?.text ?? undefined) === (typeof body === 'string' ? body : undefined));
+        if (sameBody.length > 0) candidates = sameBody;
+
+        const entry = candidates.find(candidate => !timesServed.has(candidate)) || candidates[candidates.length - 1];
+        timesServed.set(entry, (timesServed.get(entry) || 0) + 1);
+
+        const { status, statusText, headers = [], content = {} } = entry.response;
+        const bodyBuffer = content.text === undefined ? Buffer.alloc(0) : Buffer.from(content.text, content.encoding === 'base64' ? 'base64' : 'utf8');
+        const responseHeaders = new Headers();
+        const setCookies = [];
+        for (const { name, value } of headers) {
+            const lowerName = name.toLowerCase();
+            if (lowerName === 'set-cookie') {
+                setCookies.push(value);
+            } else if (!['content-encoding', 'content-length', 'transfer-encoding'].includes(lowerName)) {
+                responseHeaders.append(name, value); // The stored body is already decoded
+            }
+        }
+        responseHeaders.set('content-length', String(bodyBuffer.length));
+        // Bodies aren't allowed for these statuses in a Response
+        const nullBody = [101, 204, 205, 304].includes(status);
+        return {
+            response: new Response(nullBody ? null : bodyBuffer, { status, statusText, headers: responseHeaders }),
+            setCookies,
+        };
+    };
+
+    return { findResponse };
+}
+
+/**
+ * Builds the response used for unmatched requests under the '404' policy.
+ * @returns {Response}
+ */
+function createNotFoundResponse() {
+    return new Response('Not found in HAR archive', { status: 404, statusText: 'Not Found', headers: { 'content-type': 'text/plain' } });
+}
+
+
+module.exports = {
+    UNMATCHED_POLICIES,
+    createBridgeHarRecorder,
+    loadHarReplayer,
+    createNotFoundResponse,
+};
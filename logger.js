@@ -0,0 +1,31 @@
+const { Console } = require('console');
+
+// Where the runner's log lines go. Starts as the global console (stdout and stderr) and is only replaced,
+// never patched, so other code writing to the console is unaffected.
+let output = console;
+
+/**
+ * The runner's own log output, used by every module instead of the console.
+ * Looks the output up on each call, so it can be moved after modules have loaded.
+ */
+const logger = {
+    log: (...args) => output.log(...args),
+    info: (...args) => output.info(...args),
+    debug: (...args) => output.debug(...args),
+    warn: (...args) => output.warn(...args),
+    error: (...args) => output.error(...args),
+};
+
+/**
+ * Sends every log line to stderr, e.g. when stdout carries the NDJSON event log.
+ * @returns {void}
+ */
+function logToStderr() {
+    output = new Console({ stdout: process.stderr, stderr: process.stderr });
+}
+
+
+module.exports = {
+    logger,
+    logToStderr,
+};
@@ -1,14 +1,30 @@
 const { chromium, firefox } = require('playwright'); // Added firefox
 const path = require('path');
+const crypto = require('crypto');
 const fs = require('fs').promises; // Needed for file operations
+const { watchFile, unwatchFile } = require('fs'); // Polls the storage file for changes by other runs
 const yargs = require('yargs/yargs');
 const { hideBin } = require('yargs/helpers');
 const tmp = require('tmp'); // Added tmp for temporary directories
-const { loadUserscripts, urlMatches } = require('./userscript-runner');
+const { loadUserscripts, scriptMatchesUrl, getMatchRules, isConnectAllowed } = require('./userscript-runner');
+const { wrapUserscript, lockScriptApiFactory } = require('./script-wrapper');
+const { createBridgeFetch } = require('./bridge-fetch');
+const { createDownloadFile, guessDownloadName, saveBrowserDownload } = require('./downloads');
+const { loadDialogRules, findDialogRule, resolveDialogAnswer } = require('./dialog-rules');
+const { loadNotificationRules, findNotificationRule } = require('./notification-rules');
+const { loadNetworkRules, createNetworkRouteHandler } = require('./network-rules');
+const { UNMATCHED_POLICIES, createBridgeHarRecorder, loadHarReplayer } = require('./har-archive');
+const { FIXTURE_UNMATCHED_POLICIES, loadXhrFixtures, createXhrFixtureResponder } = require('./xhr-fixtures');
+const { parseMenuSteps, createNetworkIdleTracker, getRegisteredMenuCommands, runMenuSteps } = require('./menu-commands');
+const { loadAssertions, runAssertions } = require('./assertions');
+const { REPORTERS, runTestSuite } = require('./test-runner');
+const { LOG_FORMATS, createEventLog, scriptFromSource } = require('./event-log');
+const { logger, logToStderr } = require('./logger');
 
 // --- Configuration via yargs ---
 const argv = yargs(hideBin(process.argv))
-    .usage('Usage: node $0 [options]')
+    .usage('Usage: node $0 [options]\n       node $0 test [options]')
+    .command('test', 'Run the spec file next to each userscript in --dir and report the results')
     .option('url', {
         alias: 'u',
         type: 'string',
@@ -21,6 +37,10 @@ const argv = yargs(hideBin(process.argv))
         description: 'Directory containing userscripts',
         default: process.env.USERSCRIPTS_DIR || './userscripts', // Default relative to execution dir
     })
+    .option('script', {
+        type: 'string',
+        description: 'File name of a userscript in --dir to load; the others are ignored. Repeatable',
+    })
     .option('polyfill', {
         alias: 'p',
         type: 'string',
@@ -42,8 +62,17 @@ const argv = yargs(hideBin(process.argv))
     .option('run-menu-command', { // Added option
         alias: 'm',
         type: 'string',
-        description: 'Caption of the GM menu command to execute after page load.',
-        default: null,
+        description: 'Caption of a GM menu command to execute after page load, or a wait step (wait:selector:<css>, wait:networkidle, wait:<ms>). Repeatable; run in order',
+    })
+    .option('menu-command-timeout', {
+        type: 'number',
+        description: 'Time (ms) to wait for a menu command to be registered, or for a wait step',
+        default: 10000,
+    })
+    .option('list-menu-commands', {
+        type: 'boolean',
+        description: 'Print the menu commands registered by each matched script, then exit',
+        default: false,
     })
     .option('intercept-network', { // Added network interception option
         alias: 'i',
@@ -51,6 +80,41 @@ const argv = yargs(hideBin(process.argv))
         description: 'Enable network request interception and logging.',
         default: false,
     })
+    .option('network-rules', {
+        type: 'string',
+        description: 'JSON file with rules that block, mock or modify requests. Enables --intercept-network',
+        default: null,
+    })
+    .option('record-har', {
+        type: 'string',
+        description: 'Record page traffic and GM_xmlhttpRequest/GM_download requests into this HAR file',
+    })
+    .option('replay-har', {
+        type: 'string',
+        description: 'Answer page traffic and GM_xmlhttpRequest/GM_download requests from this HAR file',
+    })
+    .option('har-unmatched', {
+        type: 'string',
+        description: 'With --replay-har, what to do with requests missing from the archive',
+        choices: UNMATCHED_POLICIES,
+        default: 'fail',
+    })
+    .conflicts('record-har', 'replay-har')
+    .option('xhr-fixtures', {
+        type: 'string',
+        description: 'JSON file or directory of JSON files with fixtures that answer GM_xmlhttpRequest calls',
+        default: null,
+    })
+    .option('xhr-fixture', {
+        type: 'string',
+        description: 'GM_xmlhttpRequest fixture "[METHOD ]<url>=<status>[:<file>]|timeout|error[:message][@<delay ms>]". Repeatable; applied after --xhr-fixtures',
+    })
+    .option('xhr-unmatched', {
+        type: 'string',
+        description: 'What to do with GM_xmlhttpRequest calls no fixture matches',
+        choices: FIXTURE_UNMATCHED_POLICIES,
+        default: 'passthrough',
+    })
     .option('storage-path', { // Added storage path option
         alias: 's',
         type: 'string',
@@ -70,63 +134,424 @@ const argv = yargs(hideBin(process.argv))
         choices: ['chromium', 'firefox'], // Enforce choices
         default: 'chromium',
     })
+    .option('cache-dir', {
+        alias: 'c',
+        type: 'string',
+        description: 'Directory for cached @require dependencies',
+        default: '.userscript-cache', // Default relative to execution dir
+    })
+    .option('downloads-dir', {
+        type: 'string',
+        description: 'Directory for files saved with GM_download and downloads started by pages',
+        default: 'downloads', // Default relative to execution dir
+    })
+    .option('dialog-rules', {
+        type: 'string',
+        description: 'JSON file with rules for handling alert/confirm/prompt dialogs',
+        default: null,
+    })
+    .option('dialog', {
+        type: 'string',
+        description: 'Dialog rule "[type][:message]=accept|dismiss|env:NAME". Repeatable; applied after --dialog-rules',
+    })
+    .option('notification-rules', {
+        type: 'string',
+        description: 'JSON file with rules for clicking or closing GM_notification notifications',
+        default: null,
+    })
+    .option('click-notification', {
+        type: 'string',
+        description: 'Click the GM_notification with "tag:<tag>" or "title:<title>". Repeatable; applied after --notification-rules',
+    })
+    .option('assertions', {
+        type: 'string',
+        description: 'JSON file with assertions to check after the menu commands ran; the run fails if one fails',
+        default: null,
+    })
+    .option('assertion-timeout', {
+        type: 'number',
+        description: 'Time (ms) failing assertions are retried before they count as failed',
+        default: 5000,
+    })
+    .option('assertions-report', {
+        type: 'string',
+        description: 'Write the assertion results to this JSON file (used by test)',
+        default: null,
+    })
+    .option('reporter', {
+        type: 'string',
+        description: 'Report format of test',
+        choices: REPORTERS,
+        default: 'tap',
+    })
+    .option('report-file', {
+        type: 'string',
+        description: 'File test writes its report to. Defaults to stdout',
+        default: null,
+    })
+    .option('log-format', {
+        type: 'string',
+        description: 'Output format: text log lines, or an NDJSON event log on stdout (log lines move to stderr)',
+        choices: LOG_FORMATS,
+        default: 'text',
+    })
+    .option('log-file', {
+        type: 'string',
+        description: 'Append the NDJSON event log to this file, whatever the --log-format',
+        default: null,
+    })
+    .option('connect-mode', {
+        type: 'string',
+        description: 'How to handle GM_xmlhttpRequest calls to hosts missing from @connect',
+        choices: ['enforce', 'warn', 'off'],
+        default: 'warn',
+    })
     .help()
     .alias('help', '?')
     .argv;
 
+const testMode = argv._[0] === 'test'; // `node main.js test`: run the specs instead of a page
 const targetUrl = argv.url;
 const userscriptsDir = path.resolve(argv.dir); // Resolve to absolute path
+const onlyScripts = argv.script === undefined ? null : [].concat(argv.script); // --script limits which files are loaded
 const polyfillPath = path.resolve(argv.polyfill); // Resolve to absolute path
 const headlessMode = argv.headless;
 const browserTimeout = argv.timeout;
-const menuCommandToRun = argv.runMenuCommand; // Store the command caption
-const interceptNetwork = argv.interceptNetwork; // Store the intercept flag
+const menuCommandSpecs = [].concat(argv.runMenuCommand || []); // Commands and wait steps, in order
+const menuCommandTimeout = argv.menuCommandTimeout;
+const listMenuCommands = argv.listMenuCommands;
+const networkRulesPath = argv.networkRules ? path.resolve(argv.networkRules) : null; // Resolve network rules file
+const interceptNetwork = argv.interceptNetwork || Boolean(networkRulesPath); // Rules need interception
+const recordHarPath = argv.recordHar ? path.resolve(argv.recordHar) : null;
+const replayHarPath = argv.replayHar ? path.resolve(argv.replayHar) : null;
+const xhrFixturesPath = argv.xhrFixtures ? path.resolve(argv.xhrFixtures) : null; // Resolve fixtures file or directory
+const cliXhrFixtures = [].concat(argv.xhrFixture || []);
+const xhrUnmatchedPolicy = argv.xhrUnmatched; // passthrough: send unmatched calls on (HAR or network), fail: fail them and the run
+const harUnmatchedPolicy = argv.harUnmatched; // fail: abort and fail the run, passthrough: use the network, 404: answer 404
 const storageFilePath = path.resolve(argv.storagePath); // Resolve storage path
 const extensionPathsArg = argv.extensions; // Store extensions paths string
 const browserType = argv.browser; // Store selected browser type
+const cacheDir = path.resolve(argv.cacheDir); // Resolve cache directory
+const downloadsDir = path.resolve(argv.downloadsDir); // Resolve downloads directory
+const dialogRulesPath = argv.dialogRules ? path.resolve(argv.dialogRules) : null; // Resolve dialog rules file
+const cliDialogRules = [].concat(argv.dialog || []); // --dialog may be given once, several times or not at all
+const notificationRulesPath = argv.notificationRules ? path.resolve(argv.notificationRules) : null; // Resolve notification rules file
+const cliNotificationRules = [].concat(argv.clickNotification || []);
+const assertionsPath = argv.assertions ? path.resolve(argv.assertions) : null;
+const assertionTimeout = argv.assertionTimeout;
+const assertionsReportPath = argv.assertionsReport ? path.resolve(argv.assertionsReport) : null;
+const reportFile = argv.reportFile ? path.resolve(argv.reportFile) : null;
+const logFormat = argv.logFormat;
+const logFilePath = argv.logFile ? path.resolve(argv.logFile) : null;
+const connectMode = argv.connectMode; // enforce: block requests without @connect, warn: log only, off: no checks
+
+// Version of the gm_values.json layout. Files without it use the old flat, shared layout.
+const STORAGE_FORMAT_VERSION = 2;
 
 // --- Main Execution ---
 (async () => {
+    // --- Test Mode ---
+    // Each test runs in a runner process of its own, so nothing below is needed here
+    if (testMode) {
+        try {
+            const summary = await runTestSuite({
+                dir: userscriptsDir,
+                reporter: argv.reporter,
+                reportFile,
+                storageFormatVersion: STORAGE_FORMAT_VERSION,
+                browser: browserType,
+                headless: headlessMode,
+                polyfillPath,
+                cacheDir,
+                connectMode,
+                menuCommandTimeout,
+                logFile: logFilePath,
+            });
+            process.exitCode = summary.failed > 0 ? 1 : 0;
+        } catch (testError) {
+            logger.error('Error running tests:', testError);
+            process.exitCode = 1;
+        }
+        return;
+    }
+
+    // --- Event Log ---
+    // With --log-format json and no --log-file, stdout carries the events, so log lines move to stderr
+    if (logFormat === 'json' && !logFilePath) {
+        logToStderr();
+    }
+    const eventLog = createEventLog({ format: logFormat, file: logFilePath });
+    const runStartedAt = Date.now();
+    eventLog.emit('run.start', { url: targetUrl, browser: browserType, headless: headlessMode, dir: userscriptsDir });
+
     let browser = null; // Initialize browser to null
     let context = null;
     let page = null;
-    let gmStorage = {}; // In-memory storage for GM values
+    let allUserscripts = []; // Every loaded userscript, matched per document as pages load
+    // In-memory storage for GM values, kept per script: { formatVersion, scripts: { [storageId]: { key: value } } }
+    let gmStorage = { formatVersion: STORAGE_FORMAT_VERSION, scripts: {} };
+    let legacyValues = null; // Values from an old flat storage file, migrated once scripts are loaded
+    let lastSyncedStorageJson = null; // The storage file as this run last wrote or read it, the base for merging other runs' changes
+    const shownNotifications = []; // Every GM_notification shown during the run, with its options
+    const notificationTimers = new Set(); // Pending GM_notification timeouts and rule actions, cleared when the run ends
+    const harRecorder = recordHarPath ? createBridgeHarRecorder() : null; // Playwright records the pages, this the bridge requests
+    const unmatchedHarRequests = []; // "METHOD url" of requests missing from the --replay-har archive
+    let fixtureResponder = null; // Answers GM_xmlhttpRequest calls from --xhr-fixtures/--xhr-fixture
+    // Only kept with --assertions, which check them
+    const consoleMessages = []; // { type, text } of every console message of every page
+    const seenRequests = []; // { method, url } of page requests and GM_xmlhttpRequest/GM_download hops
+    let assertionResults = null;
+    let runError = null; // Reported with the assertion results, for test
     let tempDirCleanup = null; // Function to clean up temp directory for Firefox profile
 
     // --- Load Persistent Storage ---
-    console.log(`Attempting to load GM storage from: ${storageFilePath}`);
+    logger.log(`Attempting to load GM storage from: ${storageFilePath}`);
     try {
-        const data = await fs.readFile(storageFilePath, 'utf8');
-        gmStorage = JSON.parse(data);
-        console.log(`Successfully loaded GM storage from ${storageFilePath}`);
+        const json = await fs.readFile(storageFilePath, 'utf8');
+        const data = JSON.parse(json);
+        if (data && data.formatVersion === STORAGE_FORMAT_VERSION && data.scripts && typeof data.scripts === 'object') {
+            gmStorage = data;
+            lastSyncedStorageJson = json;
+        } else {
+            // Older versions stored one flat object shared by every script
+            logger.log(`Storage file ${storageFilePath} uses the old shared format. It will be migrated to per-script storage.`);
+            legacyValues = data && typeof data === 'object' ? data : {};
+        }
+        logger.log(`Successfully loaded GM storage from ${storageFilePath}`);
     } catch (error) {
         if (error.code === 'ENOENT') {
-            console.log(`Storage file ${storageFilePath} not found. Starting with empty storage (this is normal on first run).`);
-            gmStorage = {}; // Ensure it's empty if file not found
+            logger.log(`Storage file ${storageFilePath} not found. Starting with empty storage (this is normal on first run).`);
         } else if (error instanceof SyntaxError) {
-            console.error(`Error parsing JSON from storage file ${storageFilePath}. Starting with empty storage.`, error);
-            gmStorage = {}; // Reset on parse error
+            logger.error(`Error parsing JSON from storage file ${storageFilePath}. Starting with empty storage.`, error);
         } else {
-            console.error(`Error reading storage file ${storageFilePath}. Starting with empty storage.`, error);
-            gmStorage = {}; // Reset on other read errors
+            logger.error(`Error reading storage file ${storageFilePath}. Starting with empty storage.`, error);
         }
     }
 
+    // Each script's bridge calls carry a random token only its wrapper knows, so the bridges know which
+    // script is asking: a storage ID sent with the call could be any script's, even from a page script
+    const bridgeTokens = new Map(); // script -> token
+    const scriptsByBridgeToken = new Map(); // token -> script
+    const getBridgeToken = (script) => {
+        if (!bridgeTokens.has(script)) {
+            const token = crypto.randomUUID();
+            bridgeTokens.set(script, token);
+            scriptsByBridgeToken.set(token, script);
+        }
+        return bridgeTokens.get(script);
+    };
+
+    // Returns the stored values of one script (empty if it hasn't stored anything yet)
+    const getScriptValues = (storageId) => gmStorage.scripts[storageId] || {};
+
+    // --- Storage File Access ---
+    // Saves and change checks run one at a time, so a check never reads an older write of this run and
+    // writes never interleave. Each write goes to a temporary file first, so readers never see half of it.
+    let storageQueue = Promise.resolve();
+    const queueStorageTask = (task) => {
+        const result = storageQueue.then(task);
+        storageQueue = result.catch(() => {});
+        return result;
+    };
+
+    // Takes the keys another process changed in the storage file since this run last wrote or read it, and
+    // keeps every other key as this run has it. Returns the changes, to be sent to the open pages.
+    const mergeStorageFileChanges = (fileStorage) => {
+        const baseScripts = lastSyncedStorageJson ? JSON.parse(lastSyncedStorageJson).scripts || {} : {};
+        const changes = [];
+        for (const storageId of new Set([...Object.keys(baseScripts), ...Object.keys(fileStorage.scripts)])) {
+            const baseValues = baseScripts[storageId] || {};
+            const fileValues = fileStorage.scripts[storageId] || {};
+            for (const key of new Set([...Object.keys(baseValues), ...Object.keys(fileValues)])) {
+                const inFile = fileValues.hasOwnProperty(key);
+                if (inFile === baseValues.hasOwnProperty(key) && JSON.stringify(fileValues[key]) === JSON.stringify(baseValues[key])) {
+                    continue; // Not changed by the other process
+                }
+                const values = gmStorage.scripts[storageId] || (gmStorage.scripts[storageId] = {});
+                if (inFile === values.hasOwnProperty(key) && JSON.stringify(fileValues[key]) === JSON.stringify(values[key])) {
+                    continue; // Same change as ours
+                }
+                if (inFile) {
+                    values[key] = fileValues[key];
+                } else {
+                    delete values[key];
+                }
+                changes.push({ storageId, key, newValue: fileValues[key], deleted: !inFile });
+            }
+        }
+        return changes;
+    };
+
+    // Reads the storage file and applies what other processes changed in it. Only call from a storage task.
+    const applyStorageFileChanges = async () => {
+        let data;
+        try {
+            data = await fs.readFile(storageFilePath, 'utf8');
+        } catch (error) {
+            return; // Deleted; the next save writes it again
+        }
+        if (data === lastSyncedStorageJson) return; // Our own write, or already applied
+
+        let fileStorage;
+        try {
+            fileStorage = JSON.parse(data);
+        } catch (error) {
+            return; // Written by a version that doesn't replace the file at once; wait for the next change event
+        }
+        if (fileStorage?.formatVersion !== STORAGE_FORMAT_VERSION || !fileStorage.scripts) return;
+
+        logger.log(`Storage file ${storageFilePath} was changed by another process. Applying changes...`);
+        const changes = mergeStorageFileChanges(fileStorage);
+        lastSyncedStorageJson = data;
+        for (const { storageId, key, newValue, deleted } of changes) {
+            await broadcastValueChange(storageId, key, newValue, deleted);
+        }
+    };
+
     // --- Function to Save Storage ---
-    const saveGmStorage = async () => {
-        console.log(`Saving GM storage to: ${storageFilePath}`);
+    const saveGmStorage = () => queueStorageTask(async () => {
+        if (legacyValues) {
+            // Writing now would replace the old values before they were migrated
+            logger.log('Old shared storage has not been migrated yet. Skipping save.');
+            return;
+        }
+        logger.log(`Saving GM storage to: ${storageFilePath}`);
+        const tempPath = `${storageFilePath}.${process.pid}.tmp`;
         try {
-            await fs.writeFile(storageFilePath, JSON.stringify(gmStorage, null, 2), 'utf8');
-            console.log(`Successfully saved GM storage to ${storageFilePath}`);
+            await applyStorageFileChanges(); // So keys other runs changed since our last read aren't overwritten
+            const json = JSON.stringify(gmStorage, null, 2);
+            await fs.writeFile(tempPath, json, 'utf8');
+            await fs.rename(tempPath, storageFilePath);
+            lastSyncedStorageJson = json;
+            logger.log(`Successfully saved GM storage to ${storageFilePath}`);
         } catch (error) {
-            console.error(`Error writing GM storage file ${storageFilePath}:`, error);
+            logger.error(`Error writing GM storage file ${storageFilePath}:`, error);
+            await fs.rm(tempPath, { force: true }).catch(() => {});
+        }
+    });
+
+    // --- Document-Start Value Snapshots ---
+    // Document-start scripts run before a bridge call could return, so their init script carries a snapshot of
+    // their values. The init scripts are registered again whenever those values change, so every later document
+    // (navigations, reloads, new tabs, iframes) starts with the current values.
+    const scriptApiKey = crypto.randomUUID(); // Only the wrapped userscripts know this key, see lockScriptApiFactory
+    let documentStartScripts = []; // Set when the scripts are registered
+    const documentStartInitScripts = new Map(); // script -> Disposable of its current registration
+    let snapshotRefresh = Promise.resolve(); // Registrations are replaced one at a time, in order
+    const staleSnapshots = new Set(); // Storage IDs whose scripts wait for the queued refresh
+
+    const registerDocumentStartScripts = async (scripts) => {
+        const previousInitScripts = scripts.map(script => documentStartInitScripts.get(script)).filter(Boolean);
+        for (const script of scripts) {
+            documentStartInitScripts.delete(script);
+            try {
+                documentStartInitScripts.set(script, await context.addInitScript({
+                    content: wrapUserscript(script, {
+                        values: getScriptValues(script.storageId),
+                        matchRules: getMatchRules(script),
+                        apiKey: scriptApiKey,
+                        bridgeToken: getBridgeToken(script),
+                    }),
+                }));
+            } catch (initScriptError) {
+                logger.error(`Error adding init script ${script.name}:`, initScriptError);
+            }
+        }
+        // The old registrations go only once the new ones are in place, so no document starts without the
+        // scripts; a document starting in between runs each script once (see wrapUserscript's matchRules)
+        for (const initScript of previousInitScripts) {
+            await initScript.dispose().catch(() => {}); // Fails if the context is closing, which removes it anyway
+        }
+    };
+
+    // Called when a script's values change. Only the scripts using that storage are registered again;
+    // changes arriving while a refresh waits share it
+    const refreshValueSnapshots = (storageId) => {
+        if (!documentStartScripts.some(script => script.storageId === storageId)) {
+            return snapshotRefresh;
+        }
+        const refreshQueued = staleSnapshots.size > 0;
+        staleSnapshots.add(storageId);
+        if (refreshQueued) return snapshotRefresh;
+        snapshotRefresh = snapshotRefresh.then(() => {
+            const storageIds = new Set(staleSnapshots);
+            staleSnapshots.clear();
+            return registerDocumentStartScripts(documentStartScripts.filter(script => storageIds.has(script.storageId)));
+        });
+        return snapshotRefresh;
+    };
+
+    // --- Value Change Broadcast ---
+    // Pushes a changed value into the value stores of every frame of every page in the context, so
+    // synchronous GM_getValue stays current and GM_addValueChangeListener listeners fire with remote=true.
+    // The frame that made the change (if any) already applied it and notified its own listeners.
+    const broadcastValueChange = async (storageId, key, newValue, deleted, sourceFrame = null) => {
+        if (!context) return;
+        await refreshValueSnapshots(storageId);
+        const targetFrames = context.pages().filter(targetPage => !targetPage.isClosed()).flatMap(targetPage => targetPage.frames());
+        for (const targetFrame of targetFrames) {
+            if (targetFrame === sourceFrame || targetFrame.isDetached()) continue;
+            try {
+                await targetFrame.evaluate(({ storageId, key, newValue, deleted }) => {
+                    if (window.__gmStorageChanged) {
+                        window.__gmStorageChanged(storageId, key, newValue, deleted, true);
+                    }
+                }, { storageId, key, newValue, deleted });
+            } catch (evalError) {
+                // Ignore errors if the page is closed or the frame detached or navigating during the update
+                if (!evalError.message.includes('Target page, context or browser has been closed') && !targetFrame.isDetached()) {
+                    logger.error(`[Bridge] Error sending value change for key=${key}:`, evalError);
+                }
+            }
         }
     };
 
+    // --- Watch Storage for Other Runs ---
+    // Another runner process sharing the storage file counts as a remote change, like another tab.
+    const onStorageFileChanged = () => queueStorageTask(async () => {
+        if (legacyValues) return; // Not migrated yet
+        await applyStorageFileChanges();
+    });
+    watchFile(storageFilePath, { interval: 1000 }, onStorageFileChanged);
+
 
     try {
-        console.log(`Selected browser: ${browserType}`);
-        console.log(`Launching browser (Headless: ${headlessMode})...`);
+        // --- Load Dialog Rules ---
+        // Loaded before launching so a broken rule fails the run right away
+        const dialogRules = await loadDialogRules({ file: dialogRulesPath, cliRules: cliDialogRules });
+        if (dialogRules.length > 0) {
+            logger.log(`Loaded ${dialogRules.length} dialog rules.`);
+        }
+
+        const notificationRules = await loadNotificationRules({ file: notificationRulesPath, cliRules: cliNotificationRules });
+        if (notificationRules.length > 0) {
+            logger.log(`Loaded ${notificationRules.length} notification rules.`);
+        }
+
+        const networkRules = networkRulesPath ? await loadNetworkRules(networkRulesPath) : [];
+        if (networkRules.length > 0) {
+            logger.log(`Loaded ${networkRules.length} network rules.`);
+        }
+
+        const harReplayer = replayHarPath ? await loadHarReplayer(replayHarPath) : null;
+        if (harReplayer) {
+            logger.log(`Replaying network traffic from ${replayHarPath} (unmatched requests: ${harUnmatchedPolicy}).`);
+        }
+        const xhrFixtures = await loadXhrFixtures({ fixturesPath: xhrFixturesPath, cliFixtures: cliXhrFixtures });
+        if (xhrFixtures.length > 0) {
+            logger.log(`Loaded ${xhrFixtures.length} GM_xmlhttpRequest fixtures.`);
+            fixtureResponder = createXhrFixtureResponder(xhrFixtures);
+        }
+
+        // Playwright writes the pages' traffic to the HAR file when the context closes
+        const contextOptions = recordHarPath ? { recordHar: { path: recordHarPath, content: 'embed' } } : {};
+
+        const menuSteps = parseMenuSteps(menuCommandSpecs); // Also fails early on a malformed wait step
+
+        const assertions = assertionsPath ? await loadAssertions(assertionsPath) : [];
+
+        logger.log(`Selected browser: ${browserType}`);
+        logger.log(`Launching browser (Headless: ${headlessMode})...`);
 
         let resolvedExtensionPaths = [];
         if (extensionPathsArg) {
@@ -135,7 +560,7 @@ const browserType = argv.browser; // Store selected browser type
                 .filter(p => p) // Remove empty strings
                 .map(p => path.resolve(p)); // Resolve to absolute paths
             if (resolvedExtensionPaths.length > 0) {
-                 console.log(`Attempting to load extensions: ${resolvedExtensionPaths.join(', ')}`);
+                 logger.log(`Attempting to load extensions: ${resolvedExtensionPaths.join(', ')}`);
             }
         }
 
@@ -149,144 +574,268 @@ const browserType = argv.browser; // Store selected browser type
             if (resolvedExtensionPaths.length > 0) {
                 launchOptions.args.push(`--load-extension=${resolvedExtensionPaths.join(',')}`);
                 if (headlessMode) {
-                    console.warn("Chromium: Loading extensions in headless mode might have limitations.");
+                    logger.warn("Chromium: Loading extensions in headless mode might have limitations.");
                 }
             }
             browser = await chromium.launch(launchOptions);
-            console.log('Creating new Chromium browser context...');
-            context = await browser.newContext();
+            logger.log('Creating new Chromium browser context...');
+            context = await browser.newContext(contextOptions);
 
         } else if (browserType === 'firefox') {
             if (resolvedExtensionPaths.length > 0) {
                 // Firefox requires a persistent context with a profile to load extensions
-                console.log("Firefox: Extensions require launching a persistent context with a temporary profile.");
+                logger.log("Firefox: Extensions require launching a persistent context with a temporary profile.");
                 tmp.setGracefulCleanup(); // Clean up temp files on exit
                 const tempDir = tmp.dirSync({ unsafeCleanup: true }); // Create temp dir
                 const userDataDir = tempDir.name;
                 tempDirCleanup = tempDir.removeCallback; // Store cleanup function
-                console.log(`Firefox: Created temporary profile directory: ${userDataDir}`);
+                logger.log(`Firefox: Created temporary profile directory: ${userDataDir}`);
 
                 const launchOptions = {
                     headless: headlessMode,
                     args: resolvedExtensionPaths.map(p => `--install-temporary-addon="${p}"`), // Quote paths for safety
                     userDataDir: userDataDir,
+                    ...contextOptions,
                 };
 
-                console.log('Launching Firefox persistent context...');
+                logger.log('Launching Firefox persistent context...');
                 context = await firefox.launchPersistentContext(userDataDir, launchOptions);
                 browser = null; // launchPersistentContext doesn't return a separate browser instance
-                console.log('Firefox persistent context created.');
+                logger.log('Firefox persistent context created.');
 
             } else {
                 // Firefox without extensions
-                console.log('Launching Firefox browser...');
+                logger.log('Launching Firefox browser...');
                 browser = await firefox.launch({ headless: headlessMode });
-                console.log('Creating new Firefox browser context...');
-                context = await browser.newContext();
+                logger.log('Creating new Firefox browser context...');
+                context = await browser.newContext(contextOptions);
             }
         } else {
             // Should not happen due to yargs choices, but good practice
-            console.error(`Invalid browser type specified: ${browserType}. Exiting.`);
+            logger.error(`Invalid browser type specified: ${browserType}. Exiting.`);
             process.exit(1);
         }
 
         // --- Page Creation (common to all paths where context is created) ---
         if (!context) {
-             console.error("Failed to create browser context. Exiting.");
+             logger.error("Failed to create browser context. Exiting.");
              process.exit(1);
         }
-        console.log('Creating new page...');
-        page = await context.newPage();
 
+        // Counts the pages' requests and GM_xmlhttpRequest fetches for wait:networkidle menu steps
+        const networkTracker = createNetworkIdleTracker(context);
 
         // --- GM API Bridge Implementation (Node.js side) ---
-        console.log('Setting up GM API bridge functions (with persistent storage)...');
+        // Bridges are exposed on the context so every page gets them, including tabs opened by
+        // GM_openInTab and window.open popups. exposeBinding passes the calling frame as source.frame,
+        // which is where callbacks are sent back to, so a script in an iframe gets its own replies.
+        logger.log('Setting up GM API bridge functions (with persistent storage)...');
+
+        // Every GM bridge call is logged as a bridge.call event, with its arguments and duration
+        const exposeBridge = (name, handler) => context.exposeBinding(name, eventLog.instrumentBridge(name, handler));
+        const exposeBridgeFunction = (name, handler) => context.exposeFunction(name, eventLog.instrumentBridge(name, handler, { binding: false }));
+
+        // Finds the script calling a bridge by its token. Only wrapped userscripts know a token, so a call without
+        // a known one comes from a page script and is refused (for request bridges whatever --connect-mode says)
+        const getCallingScript = (bridgeToken, apiName) => {
+            const script = scriptsByBridgeToken.get(bridgeToken);
+            if (!script) {
+                throw new Error(`${apiName} was called without a valid script token. Only userscripts can use it.`);
+            }
+            return script;
+        };
 
         // Expose bridge functions - wrap in try/catch for robustness
         try {
             // --- Persistent Storage Bridge Functions ---
-            await page.exposeFunction('gmSetValueBridge', async (key, value) => {
-                console.log(`[Bridge] gmSetValueBridge: key=${key}`);
-                gmStorage[key] = value;
+            // Set/delete use exposeBinding so the change can be sent to every tab except the one that made it.
+            // Each call works on the storage of the script its token belongs to.
+            await exposeBridge('gmSetValueBridge', async (source, bridgeToken, key, value) => {
+                const { storageId } = getCallingScript(bridgeToken, 'GM_setValue');
+                logger.log(`[Bridge] gmSetValueBridge: script=${storageId}, key=${key}`);
+                if (!gmStorage.scripts[storageId]) {
+                    gmStorage.scripts[storageId] = {};
+                }
+                gmStorage.scripts[storageId][key] = value;
                 await saveGmStorage(); // Persist change
+                await broadcastValueChange(storageId, key, value, false, source.frame);
             });
 
-            await page.exposeFunction('gmGetValueBridge', async (key, defaultValue) => {
-                console.log(`[Bridge] gmGetValueBridge: key=${key}, default=${defaultValue}`);
+            await exposeBridgeFunction('gmGetValueBridge', async (bridgeToken, key, defaultValue) => {
+                const { storageId } = getCallingScript(bridgeToken, 'GM_getValue');
+                logger.log(`[Bridge] gmGetValueBridge: script=${storageId}, key=${key}, default=${defaultValue}`);
                 // Return the value or the defaultValue if the key doesn't exist
-                return gmStorage.hasOwnProperty(key) ? gmStorage[key] : defaultValue;
+                const values = getScriptValues(storageId);
+                return values.hasOwnProperty(key) ? values[key] : defaultValue;
             });
 
-            await page.exposeFunction('gmDeleteValueBridge', async (key) => {
-                console.log(`[Bridge] gmDeleteValueBridge: key=${key}`);
-                if (gmStorage.hasOwnProperty(key)) {
-                    delete gmStorage[key];
+            await exposeBridge('gmDeleteValueBridge', async (source, bridgeToken, key) => {
+                const { storageId } = getCallingScript(bridgeToken, 'GM_deleteValue');
+                logger.log(`[Bridge] gmDeleteValueBridge: script=${storageId}, key=${key}`);
+                const values = getScriptValues(storageId);
+                if (values.hasOwnProperty(key)) {
+                    delete values[key];
                     await saveGmStorage(); // Persist change
+                    await broadcastValueChange(storageId, key, undefined, true, source.frame);
                 }
             });
 
-            await page.exposeFunction('gmListValuesBridge', async () => {
-                console.log('[Bridge] gmListValuesBridge');
-                return Object.keys(gmStorage);
+            await exposeBridgeFunction('gmListValuesBridge', async (bridgeToken) => {
+                const { storageId } = getCallingScript(bridgeToken, 'GM_listValues');
+                logger.log(`[Bridge] gmListValuesBridge: script=${storageId}`);
+                return Object.keys(getScriptValues(storageId));
             });
 
             // --- Other GM Bridge Functions ---
 
             // GM_xmlhttpRequest bridge using Node's fetch
-            await page.exposeFunction('GM_xmlhttpRequest_bridge', async (requestId, details) => {
-                console.log(`[Bridge] GM_xmlhttpRequest: id=${requestId}, method=${details.method}, url=${details.url}`);
+            // Events are sent in XMLHttpRequest order: onloadstart, onreadystatechange (1-3), onprogress while the
+            // body streams in, then one of onload/onerror/ontimeout/onabort. The polyfill follows the final event
+            // with onreadystatechange (4) and onloadend, so the (possibly large) response is only sent once.
+            const xhrControllers = new WeakMap(); // frame -> Map<requestId, AbortController>, for the abort bridge
+            const PROGRESS_INTERVAL = 100; // Minimum ms between onprogress events (GM_xmlhttpRequest and GM_download), each one is a round trip to the page
+            // Shares the context's cookie jar and the HAR archive, see bridge-fetch.js
+            const bridgeFetch = createBridgeFetch(context, {
+                harRecorder,
+                harReplayer,
+                unmatchedPolicy: harUnmatchedPolicy,
+                onUnmatched: (method, url) => unmatchedHarRequests.push(`${method} ${url}`),
+                fixtureResponder,
+                fixtureUnmatchedPolicy: xhrUnmatchedPolicy,
+                onRequest: assertionsPath ? (method, url) => seenRequests.push({ method, url }) : undefined,
+            });
+
+            // @connect check for a script's requests, applied to the request URL and every redirect target like Tampermonkey does
+            const createConnectCheck = (script, callerFrame, apiName) => {
+                return (hopUrl) => {
+                    if (connectMode === 'off') return;
+                    if (isConnectAllowed(script.connects, hopUrl, callerFrame.url())) return;
+                    const host = new URL(hopUrl).hostname;
+                    const message = `Script "${script.name}" is not allowed to connect to ${host}. Add "@connect ${host}" to its metadata block.`;
+                    if (connectMode === 'warn') {
+                        logger.warn(`[Bridge] ${apiName} @connect warning: ${message}`);
+                        return;
+                    }
+                    throw new Error(message);
+                };
+            };
+
+            await exposeBridge('GM_xmlhttpRequest_bridge', async (source, requestId, details, bridgeToken) => {
+                logger.log(`[Bridge] GM_xmlhttpRequest: id=${requestId}, method=${details.method}, url=${details.url}`);
+                const script = getCallingScript(bridgeToken, 'GM_xmlhttpRequest');
                 const { method, url, headers, data, timeout, responseType, user, password, overrideMimeType } = details;
+                const redirectMode = ['error', 'manual'].includes(details.redirect) ? details.redirect : 'follow';
                 const controller = new AbortController();
                 const signal = controller.signal;
                 let timeoutId = null; // Initialize timeoutId to null
+                let timedOut = false; // Distinguishes our own timeout abort from one requested by the script
+                const callerFrame = source.frame; // Request ids are per frame, so answer the frame that asked
+
+                const checkConnect = createConnectCheck(script, callerFrame, 'GM_xmlhttpRequest');
+
+                const startedAt = Date.now();
+                const requestEvent = { requestId, script: script.name, method: (method || 'GET').toUpperCase(), url };
+                eventLog.emit('xhr.start', { ...requestEvent, frameUrl: callerFrame.url() });
+
+                if (!xhrControllers.has(callerFrame)) {
+                    xhrControllers.set(callerFrame, new Map());
+                }
+                const frameControllers = xhrControllers.get(callerFrame);
+                frameControllers.set(requestId, controller);
+                networkTracker.begin();
 
                 // Helper to send callbacks safely
                 const sendCallback = async (eventName, responseData) => {
                     try {
-                        // Check if page is still available before evaluating
-                        if (!page.isClosed()) {
-                            await page.evaluate(({ requestId, eventName, responseData }) => {
+                        // Check if the frame is still available before evaluating
+                        if (!callerFrame.isDetached()) {
+                            await callerFrame.evaluate(({ requestId, eventName, responseData }) => {
                                 if (window.GM_xmlhttpRequest_callback_handler) {
                                     window.GM_xmlhttpRequest_callback_handler(requestId, eventName, responseData);
                                 }
                             }, { requestId, eventName, responseData });
                         } else {
-                             console.warn(`[Bridge] Page closed before sending GM_xmlhttpRequest callback (${eventName}) for id=${requestId}`);
+                             logger.warn(`[Bridge] Frame detached before sending GM_xmlhttpRequest callback (${eventName}) for id=${requestId}`);
                         }
                     } catch (evalError) {
-                        // Ignore errors if page is closed during callback
-                        if (!evalError.message.includes('Target page, context or browser has been closed')) {
-                            console.error(`[Bridge] Error sending GM_xmlhttpRequest callback (${eventName}):`, evalError);
+                        // Ignore errors if the page is closed or the frame detached during callback
+                        if (!evalError.message.includes('Target page, context or browser has been closed') && !callerFrame.isDetached()) {
+                            logger.error(`[Bridge] Error sending GM_xmlhttpRequest callback (${eventName}):`, evalError);
                         }
                     }
                 };
 
                 if (timeout) {
+                    // Like XMLHttpRequest, the timeout covers the whole request including the body
                     timeoutId = setTimeout(() => {
-                        console.warn(`[Bridge] GM_xmlhttpRequest TIMEOUT: id=${requestId}, url=${url}`);
-                        controller.abort(); // Abort the fetch request
-                        // Send ontimeout event
-                        sendCallback('ontimeout', {
-                            status: 0, statusText: 'Timeout', finalUrl: url, error: 'Request timed out'
-                        });
+                        logger.warn(`[Bridge] GM_xmlhttpRequest TIMEOUT: id=${requestId}, url=${url}`);
+                        timedOut = true;
+                        controller.abort(); // Abort the fetch request; the catch below sends ontimeout
                     }, timeout);
                 }
 
-                try {
-                    const fetchOptions = {
-                        method: method || 'GET', // Default to GET
-                        headers: headers || {},
-                        body: data,
-                        signal: signal,
-                        redirect: 'follow' // Default behavior
-                    };
+                // Fields shared by every event, updated as the request progresses
+                const state = { readyState: 1, status: 0, statusText: '', finalUrl: url, responseHeaders: {} };
+                await sendCallback('onloadstart', { ...state, loaded: 0, total: 0, lengthComputable: false });
+                await sendCallback('onreadystatechange', { ...state });
 
+                try {
+                    const requestHeaders = { ...(headers || {}) };
                     if (user && password) {
-                        fetchOptions.headers['Authorization'] = 'Basic ' + Buffer.from(user + ":" + password).toString('base64');
+                        requestHeaders['Authorization'] = 'Basic ' + Buffer.from(user + ":" + password).toString('base64');
                     }
 
-                    const response = await fetch(url, fetchOptions);
-                    if (timeoutId) clearTimeout(timeoutId); // Clear timeout on successful response
+                    const { response, finalUrl: requestUrl } = await bridgeFetch(url, {
+                        method,
+                        headers: requestHeaders,
+                        body: data,
+                        signal,
+                        anonymous: details.anonymous,
+                        cookie: details.cookie,
+                        redirect: redirectMode,
+                        checkUrl: checkConnect,
+                        label: `GM_xmlhttpRequest id=${requestId}`,
+                        useFixtures: true,
+                    });
+
+                    Object.assign(state, {
+                        readyState: 2,
+                        status: response.status,
+                        statusText: response.statusText,
+                        finalUrl: requestUrl,
+                        responseHeaders: Object.fromEntries(response.headers.entries()),
+                    });
+                    await sendCallback('onreadystatechange', { ...state });
+
+                    // Content-Length is the encoded size, which doesn't match the decoded bytes we count for compressed responses
+                    const contentLength = parseInt(response.headers.get('content-length'), 10);
+                    const contentEncoding = response.headers.get('content-encoding');
+                    const lengthComputable = Number.isFinite(contentLength) && (!contentEncoding || contentEncoding === 'identity');
+                    const total = lengthComputable ? contentLength : 0;
+
+                    // Stream the body, reporting progress as chunks arrive
+                    const chunks = [];
+                    let loaded = 0;
+                    let lastProgressAt = 0;
+                    if (response.body) {
+                        for await (const chunk of response.body) {
+                            chunks.push(Buffer.from(chunk));
+                            loaded += chunk.length;
+                            if (state.readyState === 2) {
+                                state.readyState = 3;
+                                await sendCallback('onreadystatechange', { ...state });
+                            }
+                            const now = Date.now();
+                            if (now - lastProgressAt >= PROGRESS_INTERVAL) {
+                                lastProgressAt = now;
+                                await sendCallback('onprogress', { ...state, loaded, total, lengthComputable });
+                            }
+                        }
+                    }
+                    // Always report the final size, even if the last chunk fell inside the throttle interval
+                    await sendCallback('onprogress', { ...state, loaded, total: lengthComputable ? total : loaded, lengthComputable: true });
+                    if (timeoutId) clearTimeout(timeoutId); // The whole body arrived in time
+                    const bodyBuffer = Buffer.concat(chunks);
 
                     // Determine response processing based on responseType
                     let responseBody;
@@ -295,7 +844,7 @@ const browserType = argv.browser; // Store selected browser type
                     const effectiveContentType = overrideMimeType || contentTypeHeader;
 
                     // Default to 'text' if responseType is not specified or invalid
-                    let effectiveResponseType = ['json', 'text', 'arraybuffer', 'blob'].includes(responseType) ? responseType : 'text';
+                    let effectiveResponseType = ['json', 'text', 'arraybuffer', 'blob', 'document'].includes(responseType) ? responseType : 'text';
                     // Guess 'json' from effective content-type if responseType wasn't explicitly set
                     if (!responseType && effectiveContentType.includes('json')) {
                         effectiveResponseType = 'json';
@@ -304,89 +853,282 @@ const browserType = argv.browser; // Store selected browser type
                     try {
                         switch (effectiveResponseType) {
                             case 'json':
-                                responseBody = await response.json();
+                                responseBody = JSON.parse(bodyBuffer.toString('utf8'));
                                 break;
                             case 'blob':
                             case 'arraybuffer':
                                 // Send as Base64, browser polyfill reconstructs
-                                const buffer = await response.arrayBuffer();
-                                responseBody = Buffer.from(buffer).toString('base64');
+                                responseBody = bodyBuffer.toString('base64');
+                                break;
+                            case 'document':
+                                // Sent as text; the polyfill parses it with the browser's DOMParser
+                                responseBody = bodyBuffer.toString('utf8');
                                 break;
                             case 'text':
                             default:
-                                responseBody = await response.text();
+                                responseBody = bodyBuffer.toString('utf8');
                                 effectiveResponseType = 'text'; // Ensure it's marked as text
                                 break;
                         }
                     } catch (bodyError) {
-                        console.error(`[Bridge] GM_xmlhttpRequest Error reading response body as ${effectiveResponseType}:`, bodyError);
+                        logger.error(`[Bridge] GM_xmlhttpRequest Error reading response body as ${effectiveResponseType}:`, bodyError);
                         throw new Error(`Failed to read response body as ${effectiveResponseType}: ${bodyError.message}`);
                     }
 
                     const gmResponse = {
-                        status: response.status,
-                        statusText: response.statusText,
-                        responseHeaders: Object.fromEntries(response.headers.entries()),
-                        finalUrl: response.url,
+                        ...state,
                         response: responseBody, // Processed body (might be base64)
                         _responseType: effectiveResponseType, // Type used for processing
                         _contentType: effectiveContentType, // Pass content type for blob reconstruction
-                        readyState: 4, // Simulate completion
-                        responseText: effectiveResponseType === 'text' ? responseBody : undefined, // Add responseText if applicable
-                        // responseXML: Not polyfilled
+                        readyState: 4, // Completed
+                        responseText: ['text', 'document'].includes(effectiveResponseType) ? responseBody : undefined, // Add responseText if applicable
+                        loaded,
+                        total: loaded,
+                        // responseXML is built by the polyfill from responseText
                     };
 
                     // Send onload event
                     await sendCallback('onload', gmResponse);
+                    eventLog.emit('xhr.finish', { ...requestEvent, outcome: 'load', status: state.status, finalUrl: requestUrl, size: loaded, durationMs: Date.now() - startedAt });
 
                 } catch (error) {
                     if (timeoutId) clearTimeout(timeoutId); // Clear timeout on error
+                    timedOut = timedOut || error.name === 'TimeoutError'; // Also set by timeout fixtures
+                    const isAbort = error.name === 'AbortError';
                     // Avoid logging error if it's just an abort after timeout/manual abort
-                    if (error.name !== 'AbortError') {
-                        console.error(`[Bridge] GM_xmlhttpRequest ERROR: id=${requestId}, url=${url}`, error.message);
+                    if (!isAbort) {
+                        logger.error(`[Bridge] GM_xmlhttpRequest ERROR: id=${requestId}, url=${url}`, error.message);
                     }
 
-                    const isAbort = error.name === 'AbortError';
-                    // Map AbortError to onabort, other errors to onerror
-                    const eventName = isAbort ? 'onabort' : 'onerror';
+                    // Map our timeout to ontimeout, other aborts to onabort and everything else to onerror
+                    const eventName = timedOut ? 'ontimeout' : isAbort ? 'onabort' : 'onerror';
+                    const statusText = timedOut ? 'Timeout' : isAbort ? 'Aborted' : 'Network Error';
 
-                    // Send onerror or onabort event
+                    // Send ontimeout, onabort or onerror event
                     await sendCallback(eventName, {
+                        ...state,
+                        readyState: 4,
                         status: 0,
-                        statusText: isAbort ? 'Aborted' : 'Network Error',
-                        finalUrl: url,
-                        error: error.message,
+                        statusText,
+                        error: timedOut ? 'Request timed out' : error.message,
                     });
+                    eventLog.emit('xhr.finish', { ...requestEvent, outcome: eventName.slice(2), error: error.message, durationMs: Date.now() - startedAt });
+                } finally {
+                    frameControllers.delete(requestId);
+                    networkTracker.end();
                 }
             });
 
-            // Add other GM bridge functions here (GM_notification, GM_openInTab, etc.)
-            // Example: GM_openInTab
-            await page.exposeFunction('GM_openInTab_bridge', async (url, options) => {
-                console.log(`[Bridge] GM_openInTab: url=${url}, options=`, options);
+            // Aborts a request started through GM_xmlhttpRequest_bridge from the same frame
+            await exposeBridge('GM_xmlhttpRequest_abort_bridge', async (source, requestId) => {
+                const controller = xhrControllers.get(source.frame)?.get(requestId);
+                if (!controller) {
+                    logger.log(`[Bridge] GM_xmlhttpRequest abort: id=${requestId} already finished.`);
+                    return false;
+                }
+                logger.log(`[Bridge] GM_xmlhttpRequest abort: id=${requestId}`);
+                controller.abort(); // The request's catch block sends onabort
+                return true;
+            });
+
+            // GM_download bridge: fetched like GM_xmlhttpRequest (context cookies, @connect, redirects) and
+            // streamed into --downloads-dir. Events go to window.__gmDownloadEvent in the calling frame.
+            const downloadControllers = new WeakMap(); // frame -> Map<downloadId, AbortController>, for the abort bridge
+            await exposeBridge('GM_download_bridge', async (source, downloadId, details, bridgeToken) => {
+                logger.log(`[Bridge] GM_download: id=${downloadId}, url=${details.blob ? '(blob)' : details.url}, name=${details.name}`);
+                const script = getCallingScript(bridgeToken, 'GM_download');
+                const callerFrame = source.frame;
+                const controller = new AbortController();
+                let timeoutId = null;
+                let timedOut = false;
+                let filePath = null;
+                let fileHandle = null;
+
+                const sendEvent = async (eventName, data) => {
+                    if (callerFrame.isDetached()) return;
+                    try {
+                        await callerFrame.evaluate(({ downloadId, eventName, data }) => {
+                            window.__gmDownloadEvent?.(downloadId, eventName, data);
+                        }, { downloadId, eventName, data });
+                    } catch (evalError) {
+                        if (!evalError.message.includes('Target page, context or browser has been closed') && !callerFrame.isDetached()) {
+                            logger.error(`[Bridge] Error sending GM_download callback (${eventName}):`, evalError);
+                        }
+                    }
+                };
+
+                if (!downloadControllers.has(callerFrame)) {
+                    downloadControllers.set(callerFrame, new Map());
+                }
+                const frameControllers = downloadControllers.get(callerFrame);
+                frameControllers.set(downloadId, controller);
+                networkTracker.begin();
+                if (details.timeout) {
+                    timeoutId = setTimeout(() => {
+                        logger.warn(`[Bridge] GM_download TIMEOUT: id=${downloadId}, url=${details.url}`);
+                        timedOut = true;
+                        controller.abort();
+                    }, details.timeout);
+                }
+
                 try {
-                    if (context) { // Ensure context exists
-                        const newPage = await context.newPage(); // Use the existing context
-                        await newPage.goto(url);
-                        if (!(options?.active)) {
-                            // Bring the original page back to front if the new tab shouldn't be active
-                            if (page && !page.isClosed()) await page.bringToFront();
+                    if (details.saveAs) {
+                        // There is nobody to show a file chooser to; saving under the requested name is what accepting it would do
+                        logger.log(`[Bridge] GM_download: id=${downloadId} asked for a "Save as" dialog; saving to the downloads directory instead`);
+                    }
+
+                    let body; // Async iterable of chunks
+                    let total = 0;
+                    let lengthComputable = false;
+                    let finalUrl = details.url;
+                    let suggestedName;
+                    if (details.blob) {
+                        const buffer = Buffer.from(details.blob.base64, 'base64');
+                        body = [buffer];
+                        total = buffer.length;
+                        lengthComputable = true;
+                        suggestedName = 'download';
+                    } else {
+                        let checkConnect = createConnectCheck(script, callerFrame, 'GM_download');
+                        if (details.url.startsWith('data:')) checkConnect = () => {}; // Nothing leaves the machine
+                        let response;
+                        try {
+                            ({ response, finalUrl } = await bridgeFetch(details.url, {
+                                headers: details.headers,
+                                signal: controller.signal,
+                                checkUrl: checkConnect,
+                                label: `GM_download id=${downloadId}`,
+                            }));
+                        } catch (fetchError) {
+                            // @connect errors are permission problems, not failed transfers
+                            if (fetchError.message.includes('is not allowed to connect')) fetchError.downloadError = 'not_permitted';
+                            throw fetchError;
+                        }
+                        if (!response.ok) {
+                            await response.body?.cancel();
+                            throw new Error(`Server responded with ${response.status} ${response.statusText}`);
+                        }
+                        body = response.body || [];
+                        const contentLength = parseInt(response.headers.get('content-length'), 10);
+                        const contentEncoding = response.headers.get('content-encoding');
+                        lengthComputable = Number.isFinite(contentLength) && (!contentEncoding || contentEncoding === 'identity');
+                        total = lengthComputable ? contentLength : 0;
+                        suggestedName = guessDownloadName(finalUrl, response.headers.get('content-disposition'));
+                    }
+
+                    try {
+                        ({ filePath, handle: fileHandle } = await createDownloadFile(downloadsDir, details.name || suggestedName, details.conflictAction));
+                    } catch (fileError) {
+                        fileError.downloadError = 'not_permitted';
+                        throw fileError;
+                    }
+
+                    let loaded = 0;
+                    let lastProgressAt = 0;
+                    for await (const chunk of body) {
+                        await fileHandle.write(chunk);
+                        loaded += chunk.length;
+                        const now = Date.now();
+                        if (now - lastProgressAt >= PROGRESS_INTERVAL) {
+                            lastProgressAt = now;
+                            await sendEvent('onprogress', { loaded, total, lengthComputable });
                         }
+                    }
+                    await fileHandle.close();
+                    fileHandle = null;
+                    if (timeoutId) clearTimeout(timeoutId);
+                    await sendEvent('onprogress', { loaded, total: lengthComputable ? total : loaded, lengthComputable: true });
+
+                    logger.log(`[Bridge] GM_download: id=${downloadId} saved ${loaded} bytes to ${filePath}`);
+                    await sendEvent('onload', { url: details.url, finalUrl, name: path.relative(downloadsDir, filePath), path: filePath, size: loaded });
+                } catch (error) {
+                    if (timeoutId) clearTimeout(timeoutId);
+                    if (fileHandle) {
+                        // Don't leave a partial file behind
+                        await fileHandle.close().catch(() => {});
+                        await fs.unlink(filePath).catch(() => {});
+                    }
+                    if (timedOut) {
+                        await sendEvent('ontimeout', { error: 'timeout' });
+                    } else if (error.name === 'AbortError') {
+                        logger.log(`[Bridge] GM_download: id=${downloadId} aborted`);
+                        await sendEvent('onabort', { error: 'aborted' });
                     } else {
-                         console.error("[Bridge] Cannot GM_openInTab: Browser context does not exist.");
+                        logger.error(`[Bridge] GM_download ERROR: id=${downloadId}, url=${details.url}`, error.message);
+                        // Same error codes as Tampermonkey
+                        await sendEvent('onerror', { error: error.downloadError || 'not_succeeded', details: error.message });
+                    }
+                } finally {
+                    frameControllers.delete(downloadId);
+                    networkTracker.end();
+                }
+            });
+
+            // Aborts a download started through GM_download_bridge from the same frame
+            await exposeBridge('GM_download_abort_bridge', async (source, downloadId) => {
+                const controller = downloadControllers.get(source.frame)?.get(downloadId);
+                if (!controller) {
+                    logger.log(`[Bridge] GM_download abort: id=${downloadId} already finished.`);
+                    return false;
+                }
+                logger.log(`[Bridge] GM_download abort: id=${downloadId}`);
+                controller.abort(); // The download's catch block sends onabort
+                return true;
+            });
+
+            // GM_openInTab: the tab is a page in the same context, so the context's userscripts run in it too.
+            // The opener's handle learns about the tab closing through __gmTabClosed.
+            const openedTabs = new WeakMap(); // opener frame -> Map<tabId, Page>, for GM_closeTab_bridge
+            await exposeBridge('GM_openInTab_bridge', async (source, tabId, url, options) => {
+                logger.log(`[Bridge] GM_openInTab: id=${tabId}, url=${url}, options=`, options);
+                const openerFrame = source.frame;
+                const openerPage = source.page;
+                // Playwright doesn't expose the tab strip, so `insert` (position next to the opener) can't be applied
+                const newPage = await context.newPage();
+                if (!openedTabs.has(openerFrame)) {
+                    openedTabs.set(openerFrame, new Map());
+                }
+                const frameTabs = openedTabs.get(openerFrame);
+                frameTabs.set(tabId, newPage);
+
+                newPage.once('close', async () => {
+                    frameTabs.delete(tabId);
+                    logger.log(`[Bridge] GM_openInTab: tab ${tabId} (${url}) closed`);
+                    if (options?.setParent && !openerPage.isClosed()) {
+                        await openerPage.bringToFront().catch(() => {}); // Focus returns to the opener, like Tampermonkey
                     }
-                    // Note: loadInBackground is deprecated/complex, active=false is preferred
-                } catch (tabError) {
-                    console.error(`[Bridge] Error opening tab for ${url}:`, tabError);
+                    if (openerFrame.isDetached()) return;
+                    await openerFrame.evaluate(tabId => window.__gmTabClosed?.(tabId), tabId)
+                        .catch(() => {}); // The opener may be closing too
+                });
+
+                // Don't wait for the load: the handle is usable as soon as the tab exists
+                newPage.goto(url).catch(navError => {
+                    logger.error(`[Bridge] Error loading ${url} in tab ${tabId}:`, navError.message);
+                });
+                if (!options?.active && !openerPage.isClosed()) {
+                    // Bring the opening page back to front if the new tab shouldn't be active
+                    await openerPage.bringToFront();
                 }
             });
 
+            await exposeBridge('GM_closeTab_bridge', async (source, tabId) => {
+                const tabPage = openedTabs.get(source.frame)?.get(tabId);
+                if (!tabPage) {
+                    logger.warn(`[Bridge] GM_openInTab close: no open tab with id=${tabId}`);
+                    return false;
+                }
+                logger.log(`[Bridge] GM_openInTab close: id=${tabId}`);
+                await tabPage.close(); // The page's close event notifies the opener
+                return true;
+            });
+
              // Example: GM_setClipboard
-             await page.exposeFunction('GM_setClipboard_bridge', async (text, type) => {
-                 console.log(`[Bridge] GM_setClipboard: type=${type}`);
+             await exposeBridge('GM_setClipboard_bridge', async (source, text, type) => {
+                 logger.log(`[Bridge] GM_setClipboard: type=${type}`);
                  try {
-                     if (page && !page.isClosed()) {
-                         await page.evaluate(async ({ text }) => {
+                     if (!source.frame.isDetached()) {
+                         await source.frame.evaluate(async ({ text }) => {
                              try {
                                  await navigator.clipboard.writeText(text);
                              } catch (clipError) {
@@ -395,312 +1137,589 @@ const browserType = argv.browser; // Store selected browser type
                              }
                          }, { text });
                      } else {
-                          console.error("[Bridge] Cannot GM_setClipboard: Page does not exist or is closed.");
+                          logger.error("[Bridge] Cannot GM_setClipboard: Frame has been detached.");
                      }
                  } catch (clipError) {
-                     console.error(`[Bridge] Error setting clipboard:`, clipError);
+                     logger.error(`[Bridge] Error setting clipboard:`, clipError);
                  }
              });
 
-             // Example: GM_notification (basic console log version)
-             await page.exposeFunction('GM_notification_bridge', async (details, ondone, onclick) => {
-                 const text = typeof details === 'string' ? details : details.text;
-                 const title = typeof details === 'string' ? 'Userscript Notification' : details.title || 'Userscript Notification';
-                 console.log(`[Bridge] GM_notification: Title="${title}", Text="${text}"`);
-                 // Basic simulation: Log and immediately call ondone if provided
-                 // A full implementation would require OS-level notifications.
-                 if (ondone) {
-                     // Callbacks exposed from browser need careful handling or separate bridge
-                     console.warn("[Bridge] GM_notification: ondone callback not fully supported in this basic polyfill.");
+             // GM_notification: recorded and logged instead of shown. Clicks and closes are simulated
+             // by notification rules; callbacks run in the page through __gmNotificationEvent.
+             const activeNotifications = new Map(); // key -> { frame, notificationId, tag, timer }
+             let notificationKeyCounter = 0;
+             const sendNotificationEvent = async (frame, notificationId, eventName, clicked) => {
+                 if (frame.isDetached()) return;
+                 try {
+                     await frame.evaluate(({ notificationId, eventName, clicked }) => {
+                         window.__gmNotificationEvent?.(notificationId, eventName, clicked);
+                     }, { notificationId, eventName, clicked });
+                 } catch (eventError) {
+                     logger.error(`[Bridge] Error sending GM_notification ${eventName} (id: ${notificationId}):`, eventError.message);
+                 }
+             };
+             const startNotificationTimer = (callback, delay) => {
+                 const timer = setTimeout(() => {
+                     notificationTimers.delete(timer);
+                     callback();
+                 }, delay);
+                 notificationTimers.add(timer);
+                 return timer;
+             };
+             const finishNotification = async (key, clicked) => {
+                 const notification = activeNotifications.get(key);
+                 if (!notification) return; // Already clicked, closed or replaced
+                 activeNotifications.delete(key);
+                 clearTimeout(notification.timer);
+                 notificationTimers.delete(notification.timer);
+                 await sendNotificationEvent(notification.frame, notification.notificationId, 'ondone', clicked);
+             };
+
+             await exposeBridge('GM_notification_bridge', async (source, notificationId, options) => {
+                 const record = { ...options, pageUrl: source.frame.url(), shownAt: new Date().toISOString() };
+                 shownNotifications.push(record);
+                 logger.log(`[Bridge] GM_notification: id=${notificationId}, options=`, options);
+
+                 // IDs are only unique within a frame. A tag replaces the earlier notification with that tag, like the browser does.
+                 const key = options.tag ? `tag:${options.tag}` : `id:${++notificationKeyCounter}`;
+                 if (options.tag && activeNotifications.has(key)) {
+                     logger.log(`[Bridge] GM_notification: replacing notification with tag "${options.tag}"`);
+                     await finishNotification(key, false);
+                 }
+                 const notification = { frame: source.frame, notificationId, tag: options.tag, timer: null };
+                 activeNotifications.set(key, notification);
+
+                 if (options.highlight && !source.page.isClosed()) {
+                     await source.page.bringToFront();
                  }
-                 if (onclick) {
-                      console.warn("[Bridge] GM_notification: onclick callback not fully supported in this basic polyfill.");
+                 if (options.timeout > 0) {
+                     notification.timer = startNotificationTimer(() => {
+                         logger.log(`[Bridge] GM_notification: id=${notificationId} timed out after ${options.timeout} ms`);
+                         finishNotification(key, false);
+                     }, options.timeout);
                  }
+
+                 const rule = findNotificationRule(notificationRules, options);
+                 if (!rule) return;
+                 logger.log(`[Bridge] GM_notification: id=${notificationId} matches rule ${rule.origin}, will ${rule.action} after ${rule.delay} ms`);
+                 startNotificationTimer(async () => {
+                     if (activeNotifications.get(key) !== notification) return; // Gone before the rule fired
+                     record.action = rule.action;
+                     try {
+                         if (rule.action === 'click') {
+                             await sendNotificationEvent(source.frame, notificationId, 'onclick');
+                             if (options.url) {
+                                 logger.log(`[Bridge] GM_notification: opening ${options.url} for clicked notification`);
+                                 const urlPage = await context.newPage();
+                                 await urlPage.goto(options.url).catch(e => logger.error(`[Bridge] Error opening ${options.url}:`, e.message));
+                             }
+                         }
+                         await finishNotification(key, rule.action === 'click');
+                     } catch (ruleError) {
+                         // e.g. the context closing while the tab opens; a rejection here would end the process
+                         logger.error(`[Bridge] Error applying notification rule ${rule.origin} (id: ${notificationId}):`, ruleError.message);
+                     }
+                 }, rule.delay);
              });
 
 
         } catch (exposeError) {
-            console.error('Fatal Error setting up GM API bridge:', exposeError);
+            logger.error('Fatal Error setting up GM API bridge:', exposeError);
             throw exposeError; // Propagate error
         }
 
         // --- Load Userscripts ---
-        console.log(`Loading userscripts from: ${userscriptsDir}`);
-        const allUserscripts = await loadUserscripts(userscriptsDir); // loadUserscripts handles its own errors/logging
+        logger.log(`Loading userscripts from: ${userscriptsDir}`);
+        allUserscripts = await loadUserscripts(userscriptsDir, { cacheDir, only: onlyScripts }); // loadUserscripts handles its own errors/logging
+        allUserscripts.forEach(script => eventLog.emit('script.loaded', { script: script.name, path: script.path, runAt: script.runAt, storageId: script.storageId }));
+
+        // --- Migrate Old Shared Storage ---
+        // The old format can't tell which script owned a key, so every loaded script gets a copy
+        // of the old values. Without loaded scripts the file is left as-is for a later run.
+        if (legacyValues && allUserscripts.length > 0) {
+            const backupPath = `${storageFilePath}.bak`;
+            try {
+                await fs.copyFile(storageFilePath, backupPath);
+                logger.log(`Backed up old storage file to ${backupPath}`);
+            } catch (backupError) {
+                logger.error(`Error backing up old storage file to ${backupPath}:`, backupError);
+            }
+            for (const script of allUserscripts) {
+                if (!gmStorage.scripts[script.storageId]) {
+                    gmStorage.scripts[script.storageId] = JSON.parse(JSON.stringify(legacyValues));
+                }
+            }
+            logger.log(`Migrated ${Object.keys(legacyValues).length} stored values to ${allUserscripts.length} scripts.`);
+            legacyValues = null;
+            await saveGmStorage();
+        }
+
+        // --- Migrate Old Storage IDs ---
+        // Older versions joined @namespace and @name unencoded, so different scripts could share an ID.
+        // Values under a script's old ID move to its new one, unless it already has values there.
+        if (!legacyValues) {
+            const migratedIds = new Set();
+            for (const script of allUserscripts) {
+                const { storageId, legacyStorageId } = script;
+                if (legacyStorageId === storageId || !gmStorage.scripts[legacyStorageId] || gmStorage.scripts[storageId]) continue;
+                // Copied rather than moved: scripts that shared the old ID each get the values
+                gmStorage.scripts[storageId] = JSON.parse(JSON.stringify(gmStorage.scripts[legacyStorageId]));
+                migratedIds.add(legacyStorageId);
+                logger.log(`Moved stored values of "${script.name}" from storage ID "${legacyStorageId}" to "${storageId}".`);
+            }
+            if (migratedIds.size > 0) {
+                const currentIds = new Set(allUserscripts.map(script => script.storageId));
+                migratedIds.forEach(legacyStorageId => {
+                    if (!currentIds.has(legacyStorageId)) delete gmStorage.scripts[legacyStorageId];
+                });
+                await saveGmStorage();
+            }
+        }
 
         // --- Inject Polyfill ---
         try {
             // Check if polyfill file exists before trying to inject
             await fs.access(polyfillPath, fs.constants.R_OK); // Check read access
-            console.log(`Injecting GM API Polyfill: ${polyfillPath}`);
-            // Inject polyfill first using addInitScript
-            await page.addInitScript({ path: polyfillPath });
+            logger.log(`Injecting GM API Polyfill: ${polyfillPath}`);
+            // Inject polyfill first using addInitScript, on the context so every page gets it
+            await context.addInitScript({ path: polyfillPath });
+            await context.addInitScript({ content: lockScriptApiFactory(scriptApiKey) });
         } catch (polyfillError) {
             if (polyfillError.code === 'ENOENT') {
-                console.warn(`Polyfill file not found at ${polyfillPath}. Skipping polyfill injection.`);
+                logger.warn(`Polyfill file not found at ${polyfillPath}. Skipping polyfill injection.`);
             } else if (polyfillError.code === 'EACCES') {
-                 console.warn(`Permission denied reading polyfill file at ${polyfillPath}. Skipping polyfill injection.`);
+                 logger.warn(`Permission denied reading polyfill file at ${polyfillPath}. Skipping polyfill injection.`);
             } else {
-                console.error(`Error accessing or injecting polyfill from ${polyfillPath}:`, polyfillError);
+                logger.error(`Error accessing or injecting polyfill from ${polyfillPath}:`, polyfillError);
                 // Decide if this is fatal; for now, we'll continue without the polyfill
             }
         }
 
         // --- Prepare Script Injection based on runAt ---
-        const scriptsToInject = {
+        // Scripts are matched against each document's own URL when it loads, so redirects,
+        // link clicks and new tabs get the scripts that match where they actually are.
+        const scriptsByRunAt = {
             'document-start': [],
             'document-end': [],
             'document-idle': [],
         };
 
         if (allUserscripts.length > 0) {
-            console.log(`Checking ${allUserscripts.length} loaded scripts against URL: ${targetUrl}`);
             for (const script of allUserscripts) {
-                if (urlMatches(script.matchPatterns, targetUrl)) {
-                    if (scriptsToInject[script.runAt]) {
-                        console.log(`  - Scheduling "${script.name}" for ${script.runAt}`);
-                        scriptsToInject[script.runAt].push(script);
-                    } else {
-                        // This case should ideally be handled by parseMetadata defaulting
-                        console.warn(`Script "${script.name}" has unknown runAt value "${script.runAt}". Skipping.`);
-                    }
+                if (scriptsByRunAt[script.runAt]) {
+                    scriptsByRunAt[script.runAt].push(script);
                 } else {
-                    // console.log(`  - Skipping "${script.name}" (no match)`); // Optional verbose logging
+                    // This case should ideally be handled by parseMetadata defaulting
+                    logger.warn(`Script "${script.name}" has unknown runAt value "${script.runAt}". Skipping.`);
                 }
             }
         } else {
-             console.log('No userscripts were loaded, skipping matching.');
+             logger.log('No userscripts were loaded, skipping matching.');
         }
 
 
-        // --- Inject document-start scripts ---
-        if (scriptsToInject['document-start'].length > 0) {
-            console.log(`Injecting ${scriptsToInject['document-start'].length} document-start scripts...`);
-            for (const script of scriptsToInject['document-start']) {
-                try {
-                    console.log(`  - Adding init script: ${script.name}`);
-                    await page.addInitScript({ content: script.content });
-                } catch (initScriptError) {
-                    console.error(`Error adding init script ${script.name}:`, initScriptError);
-                }
+        // --- Register document-start scripts ---
+        // Init scripts run before Node.js learns the document's URL, so each one checks it in the browser
+        if (scriptsByRunAt['document-start'].length > 0) {
+            logger.log(`Registering ${scriptsByRunAt['document-start'].length} document-start scripts...`);
+            documentStartScripts = scriptsByRunAt['document-start'];
+            for (const script of documentStartScripts) {
+                logger.log(`  - Adding init script: ${script.name}`);
+            }
+            await registerDocumentStartScripts(documentStartScripts);
+            for (const script of documentStartScripts) {
+                // Matched in the browser as each document starts; each match reports back through gmDocumentEventBridge
+                eventLog.emit('script.registered', { script: script.name, runAt: 'document-start' });
             }
         }
 
-        // --- Set up listeners for document-end and document-idle ---
-        page.on('domcontentloaded', async () => {
-            console.log('Event: domcontentloaded');
-            if (scriptsToInject['document-end'].length > 0) {
-                 console.log(`Injecting ${scriptsToInject['document-end'].length} document-end scripts...`);
-                 for (const script of scriptsToInject['document-end']) {
-                    try {
-                        console.log(`  - Evaluating script: ${script.name}`);
-                        if (!page.isClosed()) await page.evaluate(script.content);
-                    } catch (evalError) {
-                        // Avoid crashing if one script fails
-                         if (!page.isClosed()) { // Don't log error if page closed during eval
-                            console.error(`Error evaluating script "${script.name}" at document-end:`, evalError);
-                         }
+        // --- Inject document-end and document-idle scripts ---
+        // Every frame of every page reports its DOMContentLoaded and load events through a binding, so
+        // scripts are injected into the frame whose document matches, iframes included.
+        const evaluateScripts = async (frame, runAt, documentUrl) => {
+            const isChildFrame = frame.parentFrame() !== null;
+            const scripts = scriptsByRunAt[runAt].filter(script =>
+                !(script.noframes && isChildFrame) && scriptMatchesUrl(script, documentUrl));
+            if (scripts.length === 0) return;
+            logger.log(`Injecting ${scripts.length} ${runAt} scripts into ${isChildFrame ? 'frame ' : ''}${documentUrl}...`);
+            for (const script of scripts) {
+                try {
+                    logger.log(`  - Evaluating script: ${script.name}`);
+                    if (!frame.isDetached()) {
+                        await frame.evaluate(wrapUserscript(script, {
+                            values: getScriptValues(script.storageId),
+                            apiKey: scriptApiKey,
+                            bridgeToken: getBridgeToken(script),
+                        }));
+                        eventLog.emit('script.injected', { script: script.name, runAt, url: documentUrl, childFrame: isChildFrame });
                     }
-                 }
+                } catch (evalError) {
+                    // Avoid crashing if one script fails
+                    if (!frame.isDetached()) { // Don't log error if the frame went away during eval
+                        logger.error(`Error evaluating script "${script.name}" at ${runAt}:`, evalError);
+                        eventLog.emit('script.error', { script: script.name, runAt, url: documentUrl, error: evalError.message });
+                    }
+                }
             }
+        };
+
+        const runAtForEvent = { domcontentloaded: 'document-end', load: 'document-idle' };
+        // frame -> promise of { documentHandle, events } for the frame's current document. Same-document navigations
+        // (history.pushState, hash changes) keep the document, so its events stay handled; a new document ends the
+        // handle's execution context, which is how a new document is told apart
+        const handledDocumentEvents = new WeakMap();
+        const getDocumentEvents = (frame) => {
+            const previous = handledDocumentEvents.get(frame);
+            const current = (async () => {
+                const entry = await previous?.catch(() => null); // One check at a time per frame
+                if (entry && await entry.documentHandle.evaluate(doc => doc === document).catch(() => false)) {
+                    return entry;
+                }
+                return { documentHandle: await frame.evaluateHandle(() => document), events: new Set() };
+            })();
+            handledDocumentEvents.set(frame, current);
+            return current;
+        };
+        await context.exposeBinding('gmDocumentEventBridge', async (source, eventName, bridgeToken) => {
+            if (eventName === 'document-start') {
+                // Sent once per document by a document-start script that matched it, see wrapUserscript's matchRules
+                const script = scriptsByBridgeToken.get(bridgeToken); // Unknown tokens are ignored
+                if (script) {
+                    eventLog.emit('script.injected', {
+                        script: script.name,
+                        runAt: 'document-start',
+                        url: source.frame.url(),
+                        childFrame: source.frame.parentFrame() !== null,
+                    });
+                }
+                return;
+            }
+            if (!runAtForEvent[eventName]) return;
+            // Page scripts can call the binding too, so nothing it sends is trusted: each event is handled
+            // once per document, not before Playwright saw it, and scripts are matched against the frame's URL
+            const { events: handledEvents } = await getDocumentEvents(source.frame);
+            if (handledEvents.has(eventName)) return;
+            handledEvents.add(eventName);
+            await source.frame.waitForLoadState(eventName);
+            const documentUrl = source.frame.url();
+            const isChildFrame = source.frame.parentFrame() !== null;
+            logger.log(`Event: ${eventName} (${isChildFrame ? 'frame ' : ''}${documentUrl})`);
+            await evaluateScripts(source.frame, runAtForEvent[eventName], documentUrl);
+        });
+        await context.addInitScript(() => {
+            const notify = (eventName) => {
+                if (typeof window.gmDocumentEventBridge === 'function') {
+                    // Rejects if the frame navigates away first; nothing is left to inject into then
+                    window.gmDocumentEventBridge(eventName).catch(() => {});
+                }
+            };
+            document.addEventListener('DOMContentLoaded', () => notify('domcontentloaded'), { once: true });
+            window.addEventListener('load', () => notify('load'), { once: true });
         });
 
-        page.on('load', async () => {
-            console.log('Event: load');
-             if (scriptsToInject['document-idle'].length > 0) {
-                 console.log(`Injecting ${scriptsToInject['document-idle'].length} document-idle scripts...`);
-                 for (const script of scriptsToInject['document-idle']) {
-                    try {
-                        console.log(`  - Evaluating script: ${script.name}`);
-                         if (!page.isClosed()) await page.evaluate(script.content);
-                    } catch (evalError) {
-                         // Avoid crashing if one script fails
-                         if (!page.isClosed()) { // Don't log error if page closed during eval
-                            console.error(`Error evaluating script "${script.name}" at document-idle:`, evalError);
-                         }
+        // --- Page Listeners ---
+        // Attached to every page in the context: the first page, tabs from GM_openInTab and popups
+        const attachPageListeners = (targetPage) => {
+            // Dialogs are handled by the first matching dialog rule. Without a match they are
+            // dismissed, which is what Playwright does when nothing listens for them.
+            targetPage.on('dialog', async (dialog) => {
+                const type = dialog.type();
+                const message = dialog.message();
+                const rule = findDialogRule(dialogRules, type, message);
+                eventLog.emit('dialog', { type, message, action: rule?.action ?? 'dismiss', rule: rule?.origin ?? null, pageUrl: targetPage.url() });
+                try {
+                    if (!rule) {
+                        logger.log(`[Dialog] ${type} "${message}": no matching rule, dismissed.`);
+                        await dialog.dismiss();
+                    } else if (rule.action === 'dismiss') {
+                        logger.log(`[Dialog] ${type} "${message}": dismissed by rule ${rule.origin}.`);
+                        await dialog.dismiss();
+                    } else {
+                        const answer = type === 'prompt' ? resolveDialogAnswer(rule) : undefined;
+                        // Answers may be secrets, so only say where they came from
+                        const answerSource = answer === undefined ? '' : rule.answerEnv ? ` with the value of ${rule.answerEnv}` : ' with the rule\'s answer';
+                        logger.log(`[Dialog] ${type} "${message}": accepted${answerSource} by rule ${rule.origin}.`);
+                        await dialog.accept(answer);
                     }
-                 }
-             }
-        });
+                } catch (dialogError) {
+                    if (targetPage.isClosed()) return; // Avoid error if page closed during accept/dismiss
+                    logger.error(`[Dialog] Error handling ${type} "${message}":`, dialogError.message);
+                    // A dialog left open blocks the page, so fall back to dismissing it
+                    await dialog.dismiss().catch(() => {});
+                }
+            });
 
-        // Add listener for page errors
-        page.on('pageerror', (error) => {
-            // Ignore common benign errors if necessary
-            // if (error.message.includes('some benign error')) return;
-            console.error('Unhandled page error:', error);
-        });
-        page.on('console', msg => {
-            // Forward browser console messages to Node console
-            const type = msg.type();
-            const text = msg.text();
-            // Avoid logging the noisy "Download is starting" message from Playwright itself
-            if (text.includes('Download is starting') && text.includes('Save as')) return;
-
-            // Map browser console types to Node console methods
-            const logFunc = {
-                log: console.log,
-                warning: console.warn,
-                error: console.error,
-                info: console.info,
-                debug: console.debug,
-                assert: console.assert,
-                // Add others if needed (dir, table, etc.)
-            }[type] || console.log; // Default to console.log
-
-            logFunc(`[Browser Console] ${text}`);
+            // Downloads started by the page (links, forms, scripts) land next to GM_download's files
+            targetPage.on('download', async (download) => {
+                logger.log(`[Download] ${download.url()} started (suggested name: "${download.suggestedFilename()}").`);
+                try {
+                    const savedPath = await saveBrowserDownload(download, downloadsDir);
+                    logger.log(`[Download] Saved ${download.url()} to ${savedPath}`);
+                } catch (downloadError) {
+                    logger.error(`[Download] Error saving ${download.url()}:`, downloadError.message);
+                }
+            });
+
+            // Add listener for page errors
+            targetPage.on('pageerror', (error) => {
+                // Ignore common benign errors if necessary
+                // if (error.message.includes('some benign error')) return;
+                logger.error('Unhandled page error:', error);
+                eventLog.emit('page.error', { message: error.message, stack: error.stack, script: scriptFromSource(error.stack), pageUrl: targetPage.url() });
+            });
+            targetPage.on('framenavigated', (frame) => {
+                if (frame === targetPage.mainFrame()) {
+                    eventLog.emit('navigation', { url: frame.url() });
+                }
+            });
+            targetPage.on('console', msg => {
+                // Forward browser console messages to the runner's log
+                const type = msg.type();
+                const text = msg.text();
+                // Avoid logging the noisy "Download is starting" message from Playwright itself
+                if (text.includes('Download is starting') && text.includes('Save as')) return;
+                if (assertionsPath) consoleMessages.push({ type, text });
+                // Messages logged by a userscript carry its sourceURL as their location
+                eventLog.emit('console', { level: type, text, script: scriptFromSource(msg.location()?.url), pageUrl: targetPage.url() });
+
+                // Map browser console types to logger methods
+                const logFunc = {
+                    log: logger.log,
+                    warning: logger.warn,
+                    error: logger.error,
+                    info: logger.info,
+                    debug: logger.debug,
+                    assert: logger.error, // Only failed assertions are reported
+                    // Add others if needed (dir, table, etc.)
+                }[type] || logger.log; // Default to logger.log
+
+                logFunc(`[Browser Console] ${text}`);
+            });
+        };
+
+        if (assertionsPath) {
+            context.on('request', request => seenRequests.push({ method: request.method(), url: request.url() }));
+        }
+
+        // Pages already open (a persistent context starts with one) and every page opened later
+        context.pages().forEach(attachPageListeners);
+        context.on('page', (newPage) => {
+            logger.log('New page opened in context.');
+            attachPageListeners(newPage);
         });
 
 
+        // --- HAR Replay ---
+        // Route handlers registered later run first: network rules, then the archive, then the unmatched policy
+        if (replayHarPath) {
+            await context.route('**', async (route) => {
+                const request = route.request();
+                const label = `${request.method()} ${request.url()}`;
+                unmatchedHarRequests.push(label);
+                if (harUnmatchedPolicy === 'passthrough') {
+                    logger.warn(`[HAR] Not in archive, sending to the network: ${label}`);
+                    await route.continue();
+                } else if (harUnmatchedPolicy === '404') {
+                    logger.warn(`[HAR] Not in archive, answering 404: ${label}`);
+                    await route.fulfill({ status: 404, contentType: 'text/plain', body: 'Not found in HAR archive' });
+                } else {
+                    logger.error(`[HAR] Not in archive, failing request: ${label}`);
+                    await route.abort('failed');
+                }
+            });
+            await context.routeFromHAR(replayHarPath, { notFound: 'fallback' });
+        }
+
         // --- Network Interception (if enabled) ---
         if (interceptNetwork) {
-            console.log('[Network] Interception enabled. Setting up routing...');
+            logger.log('[Network] Interception enabled. Setting up routing...');
             try {
-                await page.route('**', route => {
-                    const request = route.request();
-                    console.log(`[Network] Request: ${request.resourceType()} ${request.url()}`);
-                    // Allow the request to continue
-                    route.continue();
-                });
-                console.log('[Network] Routing setup complete.');
+                // Without rules every request is logged and continued
+                await context.route('**', createNetworkRouteHandler(networkRules, { harReplayer }));
+                logger.log('[Network] Routing setup complete.');
             } catch (routeError) {
-                console.error('[Network] Error setting up request interception:', routeError);
+                logger.error('[Network] Error setting up request interception:', routeError);
                 // Decide if this is fatal; for now, we'll just log it.
             }
         }
 
         // --- Navigate ---
-        console.log(`Navigating to: ${targetUrl}`);
+        // Created after the context-level setup so the first page gets the bridges, scripts and listeners too
+        logger.log('Creating new page...');
+        page = await context.newPage();
+        logger.log(`Navigating to: ${targetUrl}`);
         // Use 'load' to ensure idle scripts run after all resources
         await page.goto(targetUrl, { waitUntil: 'load', timeout: 60000 }); // Add navigation timeout
 
-        console.log(`Navigation complete. Page title: "${await page.title()}"`);
-
-        // --- Execute Menu Command if specified ---
-        if (menuCommandToRun) {
-            console.log(`Attempting to execute menu command via --run-menu-command: "${menuCommandToRun}"`);
-            // Add a small delay to allow scripts to potentially register commands after load
-            await page.waitForTimeout(1500); // 1.5 seconds delay
-
-            // --- Add Dialog Listener specifically for "Set NZBgeek API Key" ---
-            if (menuCommandToRun === "Set NZBgeek API Key") {
-                console.log(`[Dialog Setup] Adding 'once' listener for prompt dialog.`);
-                page.once('dialog', async dialog => {
-                    console.log(`[Dialog Handler] Detected dialog: Type=${dialog.type()}, Message="${dialog.message()}"`);
-                    if (dialog.type() === 'prompt') {
-                        const apiKey = 'CuJU1bkXcsvYmuXjpK9HtyjTimWw8Zm0';
-                        console.log(`[Dialog Handler] Prompt detected. Accepting with API key: ${apiKey}`);
-                        try {
-                            await dialog.accept(apiKey);
-                            console.log('[Dialog Handler] Prompt accepted.');
-                        } catch (acceptError) {
-                             if (!page.isClosed()) { // Avoid error if page closed during accept
-                                console.error('[Dialog Handler] Error accepting prompt:', acceptError);
-                             }
-                        }
-                    } else {
-                        console.log(`[Dialog Handler] Non-prompt dialog (${dialog.type()}) detected. Dismissing.`);
-                        try {
-                            await dialog.dismiss();
-                        } catch (dismissError) {
-                             if (!page.isClosed()) { // Avoid error if page closed during dismiss
-                                console.error('[Dialog Handler] Error dismissing dialog:', dismissError);
-                             }
-                        }
-                    }
-                });
+        logger.log(`Navigation complete. Page title: "${await page.title()}"`);
+
+        // --- List Menu Commands if requested ---
+        if (listMenuCommands) {
+            // Give scripts that register commands after load (or after their own requests) a chance to do so
+            await networkTracker.waitForIdle({ timeout: menuCommandTimeout }).catch(idleError => logger.warn(idleError.message));
+            const registered = await getRegisteredMenuCommands(page);
+            const matchedScripts = allUserscripts.filter(script => scriptMatchesUrl(script, page.url()));
+            logger.log(`Menu commands registered on ${page.url()}:`);
+            for (const script of matchedScripts) {
+                const captions = registered.filter(command => command.script === script.name).map(command => command.caption);
+                logger.log(`  ${script.name}:${captions.length > 0 ? '' : ' (none)'}`);
+                captions.forEach(caption => logger.log(`    - ${caption}`));
+            }
+            // Commands from custom polyfills or scripts that didn't match the top-level URL
+            const otherCaptions = registered.filter(command => !matchedScripts.some(script => script.name === command.script));
+            if (otherCaptions.length > 0) {
+                logger.log('  Other:');
+                otherCaptions.forEach(command => logger.log(`    - ${command.caption}${command.script ? ` (${command.script})` : ''}`));
             }
-            // --- End Dialog Listener ---
+            return; // Listing mode doesn't run commands or keep the browser open
+        }
 
-            try {
-                await page.evaluate(async (commandCaption) => {
-                    console.log(`[Browser] Attempting to execute menu command: "${commandCaption}"`);
-                    if (window.__registeredMenuCommands && typeof window.__registeredMenuCommands === 'object') {
-                        const commandFunction = window.__registeredMenuCommands[commandCaption];
-                        if (typeof commandFunction === 'function') {
-                            try {
-                                console.log(`[Browser] Found command "${commandCaption}". Executing...`);
-                                // Check if it's an async function or returns a promise
-                                const result = commandFunction();
-                                if (result && typeof result.then === 'function') {
-                                    await result; // Wait if it's a promise
-                                }
-                                console.log(`[Browser] Successfully executed menu command: "${commandCaption}"`);
-                            } catch (execError) {
-                                console.error(`[Browser] Error executing menu command "${commandCaption}":`, execError);
-                            }
-                        } else {
-                            console.error(`[Browser] Menu command "${commandCaption}" not found or is not a function.`);
-                        }
-                    } else {
-                        console.error('[Browser] window.__registeredMenuCommands not found or is not an object.');
-                    }
-                }, menuCommandToRun); // Pass the command caption to evaluate
-            } catch (evalError) {
-                // Avoid logging error if page closed during evaluation
-                if (!page.isClosed() && !evalError.message.includes('Target page, context or browser has been closed')) {
-                    console.error(`[Node.js] Error during page.evaluate for menu command "${menuCommandToRun}":`, evalError);
+        // --- Execute Menu Commands if specified ---
+        if (menuSteps.length > 0) {
+            logger.log(`Running ${menuSteps.length} menu steps from --run-menu-command...`);
+            await runMenuSteps(page, menuSteps, { commandTimeout: menuCommandTimeout, networkTracker });
+        }
+
+        // --- Check Assertions if specified ---
+        // The run ends once they are checked, instead of keeping the browser open
+        if (assertions.length > 0) {
+            logger.log(`Checking ${assertions.length} assertions from ${assertionsPath}...`);
+            const getStorage = (scriptName) => {
+                const scripts = scriptName ? allUserscripts.filter(script => script.name === scriptName) : allUserscripts;
+                if (scripts.length !== 1) {
+                    throw new Error(scriptName ? `No loaded script is named "${scriptName}".` : 'Several scripts are loaded; give the assertion a "script".');
                 }
+                return getScriptValues(scripts[0].storageId);
+            };
+            assertionResults = await runAssertions(assertions, { page, getStorage, consoleMessages, requests: seenRequests }, { timeout: assertionTimeout });
+            assertionResults.forEach(result => {
+                logger.log(`[Assert] ${result.passed ? 'PASS' : 'FAIL'} ${result.description}${result.passed ? '' : ` (${result.message})`}`);
+            });
+            const failedCount = assertionResults.filter(result => !result.passed).length;
+            logger.log(`${assertionResults.length - failedCount} of ${assertionResults.length} assertions passed.`);
+            if (failedCount > 0) {
+                process.exitCode = 1;
             }
+            return;
         }
 
-        console.log(`Keeping browser open for ${browserTimeout / 1000} seconds... (Press Ctrl+C to exit early)`);
+        logger.log(`Keeping browser open for ${browserTimeout / 1000} seconds... (Press Ctrl+C to exit early)`);
         await page.waitForTimeout(browserTimeout); // Keep page open
 
     } catch (error) {
-        console.error('An error occurred during Playwright execution:', error);
+        process.exitCode = 1; // Let scripts and CI see the run failed
+        runError = error.message;
+        logger.error('An error occurred during Playwright execution:', error);
         // Log specific errors if needed
         if (error.message.includes('net::ERR_NAME_NOT_RESOLVED')) {
-            console.error(`Failed to resolve hostname for URL: ${targetUrl}`);
+            logger.error(`Failed to resolve hostname for URL: ${targetUrl}`);
         } else if (error.message.includes('Navigation timeout')) {
-             console.error(`Navigation to ${targetUrl} timed out.`);
+             logger.error(`Navigation to ${targetUrl} timed out.`);
         }
         // Ensure browser is closed even if setup failed partially
     } finally {
         // Ensure storage is saved one last time before closing, unless an error occurred very early
         if (page && !page.isClosed()) {
              await saveGmStorage(); // Final save before closing
-        } else if (Object.keys(gmStorage).length > 0 && !browser) {
+        } else if (Object.keys(gmStorage.scripts).length > 0 && !browser) {
             // If browser launch failed but we loaded storage, try saving anyway
             await saveGmStorage();
         }
 
+        unwatchFile(storageFilePath, onStorageFileChanged);
+
+        // Notification timeouts and rules that haven't fired yet would run against a closed context
+        notificationTimers.forEach(timer => clearTimeout(timer));
+        notificationTimers.clear();
+
+        if (shownNotifications.length > 0) {
+            logger.log(`${shownNotifications.length} GM_notification(s) shown during this run:`);
+            shownNotifications.forEach((notification, index) => {
+                const outcome = notification.action ? ` [${notification.action === 'click' ? 'clicked' : 'closed'} by rule]` : '';
+                logger.log(`  ${index + 1}. "${notification.title}": ${notification.text ?? ''}${notification.tag ? ` (tag: ${notification.tag})` : ''}${outcome}`);
+            });
+        }
+
         // Close context first (important for persistent context)
         if (context && typeof context.close === 'function') {
-            console.log('Closing browser context...');
+            logger.log('Closing browser context...');
             try {
                 await context.close();
             } catch (closeError) {
                  // Ignore errors if page/context was already closed
                  if (!closeError.message.includes('Target page, context or browser has been closed')) {
-                    console.error('Error closing context:', closeError);
+                    logger.error('Error closing context:', closeError);
                  }
             }
         }
 
+        // The HAR file exists once the context is closed; add the bridge's requests to it
+        if (harRecorder && context) {
+            try {
+                const added = await harRecorder.mergeIntoHar(recordHarPath);
+                logger.log(`Recorded HAR to ${recordHarPath} (${added} GM_xmlhttpRequest/GM_download requests).`);
+            } catch (harError) {
+                logger.error(`Error writing HAR file ${recordHarPath}:`, harError);
+            }
+        }
+        if (fixtureResponder) {
+            const unmatchedRequests = fixtureResponder.getUnmatchedRequests();
+            if (unmatchedRequests.length > 0) {
+                logger.warn(`${unmatchedRequests.length} GM_xmlhttpRequest call(s) matched no fixture:`);
+                unmatchedRequests.forEach(request => logger.warn(`  ${request}`));
+                if (xhrUnmatchedPolicy === 'fail') {
+                    process.exitCode = 1;
+                }
+            }
+            // Fixtures nothing asked for are probably out of date
+            const unusedFixtures = fixtureResponder.getUnusedFixtures();
+            if (unusedFixtures.length > 0) {
+                logger.warn(`${unusedFixtures.length} GM_xmlhttpRequest fixture(s) were not used:`);
+                unusedFixtures.forEach(fixture => logger.warn(`  ${fixture.methods ? `${fixture.methods.join('|')} ` : ''}${fixture.pattern} (${fixture.origin})`));
+            }
+        }
+        if (unmatchedHarRequests.length > 0) {
+            logger.warn(`${unmatchedHarRequests.length} request(s) were not in the HAR archive:`);
+            unmatchedHarRequests.forEach(request => logger.warn(`  ${request}`));
+            if (harUnmatchedPolicy === 'fail') {
+                process.exitCode = 1; // The archive no longer covers this run
+            }
+        }
+
         // Close browser if it exists (won't exist for Firefox persistent context)
         if (browser && typeof browser.close === 'function') {
-            console.log('Closing browser...');
+            logger.log('Closing browser...');
             try {
                 await browser.close();
             } catch (closeError) {
                  // Ignore errors if browser was already closed
                  if (!closeError.message.includes('Target page, context or browser has been closed')) {
-                    console.error('Error closing browser:', closeError);
+                    logger.error('Error closing browser:', closeError);
                  }
             }
         }
 
         // Clean up temporary Firefox profile directory if created
         if (tempDirCleanup) {
-            console.log('Cleaning up temporary Firefox profile directory...');
+            logger.log('Cleaning up temporary Firefox profile directory...');
             try {
                 tempDirCleanup();
-                console.log('Temporary directory cleaned up.');
+                logger.log('Temporary directory cleaned up.');
             } catch (cleanupError) {
-                console.error('Error cleaning up temporary directory:', cleanupError);
+                logger.error('Error cleaning up temporary directory:', cleanupError);
+            }
+        }
+
+        if (assertionsReportPath) {
+            try {
+                await fs.writeFile(assertionsReportPath, JSON.stringify({ results: assertionResults, error: runError }, null, 2), 'utf8');
+            } catch (reportError) {
+                logger.error(`Error writing assertions report ${assertionsReportPath}:`, reportError);
             }
         }
 
-        console.log('Execution finished.');
+        logger.log('Execution finished.');
+        eventLog.emit('run.end', { exitCode: process.exitCode ?? 0, error: runError, durationMs: Date.now() - runStartedAt });
+        await eventLog.close();
     }
 })();
\ No newline at end of file
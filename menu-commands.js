@@ -0,0 +1,176 @@
+const { logger } = require('./logger');
+
+// page.evaluate rejects with one of these when a command navigates, reloads or closes the page
+const NAVIGATION_ERROR_PATTERN = /Execution context was destroyed|Navigation interrupted|Frame was detached|has been closed/;
+
+/**
+ * Parses the --run-menu-command values into steps.
+ * A value is either a menu command caption or a wait step:
+ * `wait:selector:<css selector>`, `wait:networkidle` or `wait:<milliseconds>`.
+ * @param {string[]} specs - The --run-menu-command values, in order.
+ * @returns {Array<{ type: 'command', caption: string } | { type: 'selector', selector: string } | { type: 'networkidle' } | { type: 'delay', ms: number }>}
+ * @throws {Error} - If a wait step is malformed.
+ */
+function parseMenuSteps(specs) {
+    return specs.map(spec => {
+        if (!spec.startsWith('wait:')) {
+            return { type: 'command', caption: spec };
+        }
+        const condition = spec.slice(5);
+        if (condition.startsWith('selector:') && condition.length > 9) {
+            return { type: 'selector', selector: condition.slice(9) };
+        }
+        if (condition === 'networkidle') {
+            return { type: 'networkidle' };
+        }
+        if (/^\d+$/.test(condition)) {
+            return { type: 'delay', ms: parseInt(condition, 10) };
+        }
+        throw new Error(`Invalid wait step "${spec}". Expected wait:selector:<css>, wait:networkidle or wait:<ms>.`);
+    });
+}
+
+/**
+ * Tracks in-flight requests in a browser context, for `wait:networkidle` steps.
+ * Counts the pages' own requests and, through begin()/end(), requests the runner makes for
+ * userscripts (GM_xmlhttpRequest), which the browser never sees.
+ * @param {import('playwright').BrowserContext} context - The browser context.
+ * @returns {{ begin: Function, end: Function, waitForIdle: Function }}
+ */
+function createNetworkIdleTracker(context) {
+    let pending = 0;
+    let lastActivity = Date.now();
+    const begin = () => {
+        pending++;
+        lastActivity = Date.now();
+    };
+    const end = () => {
+        pending = Math.max(0, pending - 1);
+        lastActivity = Date.now();
+    };
+    context.on('request', begin);
+    context.on('requestfinished', end);
+    context.on('requestfailed', end);
+
+    /**
+     * Resolves once no request has been in flight for `idleTime` ms.
+     * @param {object} [options]
+     * @param {number} [options.idleTime=500] - Quiet period that counts as idle, like Playwright's 'networkidle'.
+     * @param {number} [options.timeout=30000] - Maximum time to wait.
+     * @returns {Promise<void>}
+     * @throws {Error} - If the network doesn't go idle in time.
+     */
+    const waitForIdle = async ({ idleTime = 500, timeout = 30000 } = {}) => {
+        const deadline = Date.now() + timeout;
+        while (pending > 0 || Date.now() - lastActivity < idleTime) {
+            if (Date.now() > deadline) {
+                throw new Error(`Network did not become idle within ${timeout} ms (${pending} requests still pending).`);
+            }
+            await new Promise(resolve => setTimeout(resolve, 50));
+        }
+    };
+
+    return { begin, end, waitForIdle };
+}
+
+/**
+ * Returns the menu commands registered in a page's main frame, with the script that registered each one.
+ * A caption registered by several scripts is listed once per script.
+ * @param {import('playwright').Page} page - The page.
+ * @returns {Promise<Array<{ caption: string, script: string | null }>>}
+ */
+async function getRegisteredMenuCommands(page) {
+    return page.evaluate(() => [
+        ...(window.__menuCommands || []).map(command => ({ caption: command.caption, script: command.script })),
+        // Custom polyfills may still use the older caption -> callback object, which doesn't name the script
+        ...Object.keys(window.__registeredMenuCommands || {}).map(caption => ({ caption, script: null })),
+    ]);
+}
+
+/**
+ * Runs menu command and wait steps in order in a page's main frame.
+ * A command is run as soon as a script has registered it; if several scripts registered the caption, each
+ * one's command runs, in registration order. If that doesn't happen within `commandTimeout`, or the command
+ * throws, the run fails with an error naming the command. A command that navigates, reloads or closes the
+ * page counts as finished.
+ * @param {import('playwright').Page} page - The page to run the commands in.
+ * @param {object[]} steps - Steps from parseMenuSteps.
+ * @param {object} options
+ * @param {number} options.commandTimeout - Maximum time (ms) to wait for a command to register, or for a wait step.
+ * @param {{ waitForIdle: Function }} options.networkTracker - Tracker from createNetworkIdleTracker.
+ * @returns {Promise<void>}
+ * @throws {Error} - If a command doesn't register in time, throws, or a wait step times out.
+ */
+async function runMenuSteps(page, steps, { commandTimeout, networkTracker }) {
+    for (const [index, step] of steps.entries()) {
+        const stepLabel = `Menu step ${index + 1}/${steps.length}`;
+        switch (step.type) {
+            case 'delay':
+                logger.log(`${stepLabel}: waiting ${step.ms} ms`);
+                await page.waitForTimeout(step.ms);
+                break;
+            case 'selector':
+                logger.log(`${stepLabel}: waiting for selector "${step.selector}"`);
+                await page.waitForSelector(step.selector, { timeout: commandTimeout });
+                break;
+            case 'networkidle':
+                logger.log(`${stepLabel}: waiting for network idle`);
+                await networkTracker.waitForIdle({ timeout: commandTimeout });
+                break;
+            case 'command': {
+                logger.log(`${stepLabel}: running menu command "${step.caption}"`);
+                try {
+                    await page.waitForFunction(
+                        caption => (window.__menuCommands || []).some(command => command.caption === caption)
+                            || typeof window.__registeredMenuCommands?.[caption] === 'function',
+                        step.caption,
+                        { timeout: commandTimeout },
+                    );
+                } catch (waitError) {
+                    const registered = await getRegisteredMenuCommands(page).catch(() => []);
+                    const available = registered.length > 0 ? registered.map(command => `"${command.caption}"${command.script ? ` (${command.script})` : ''}`).join(', ') : 'none';
+                    throw new Error(`Menu command "${step.caption}" was not registered within ${commandTimeout} ms. Registered commands: ${available}.`);
+                }
+
+                let result;
+                try {
+                    result = await page.evaluate(async (caption) => {
+                        const callbacks = (window.__menuCommands || [])
+                            .filter(command => command.caption === caption)
+                            .map(command => command.callback);
+                        if (typeof window.__registeredMenuCommands?.[caption] === 'function') {
+                            callbacks.push(window.__registeredMenuCommands[caption]);
+                        }
+                        try {
+                            // Commands may be async; wait for them to finish before the next step
+                            for (const callback of callbacks) {
+                                await callback();
+                            }
+                            return { ok: true };
+                        } catch (execError) {
+                            return { ok: false, error: execError?.stack || String(execError) };
+                        }
+                    }, step.caption);
+                } catch (evaluateError) {
+                    if (!NAVIGATION_ERROR_PATTERN.test(evaluateError.message)) throw evaluateError;
+                    // The page went away with the command, which is what commands like "Reload" are for
+                    logger.log(`${stepLabel}: menu command "${step.caption}" left the page; treating it as finished`);
+                    break;
+                }
+                if (!result.ok) {
+                    throw new Error(`Menu command "${step.caption}" threw an error: ${result.error}`);
+                }
+                logger.log(`${stepLabel}: menu command "${step.caption}" finished`);
+                break;
+            }
+        }
+    }
+}
+
+
+module.exports = {
+    parseMenuSteps,
+    createNetworkIdleTracker,
+    getRegisteredMenuCommands,
+    runMenuSteps,
+};
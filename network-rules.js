@@ -0,0 +1,294 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { parseMessageMatcher } = require('./dialog-rules');
+const { guessMimeType } = require('./resource-cache');
+const { logger } = require('./logger');
+
+const NETWORK_ACTIONS = ['block', 'mock', 'modify', 'continue'];
+
+// Resource types reported by Playwright's Request.resourceType()
+const RESOURCE_TYPES = ['document', 'stylesheet', 'image', 'media', 'font', 'script', 'texttrack', 'xhr', 'fetch', 'eventsource', 'websocket', 'manifest', 'other'];
+
+/**
+ * Converts a URL glob to a RegExp, with Playwright's meaning: `**` matches anything,
+ * `*` matches anything but "/". Everything else is literal.
+ * @param {string} glob - The glob, e.g. "**\/api/items/*".
+ * @returns {RegExp}
+ */
+function globToRegExp(glob) {
+    const source = glob.split('**')
+        .map(part => part.split('*').map(text => text.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('[^/]*'))
+        .join('.*');
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * Converts a `url` matcher to a RegExp: regular expressions are written in slashes, anything else is a glob.
+ * @param {string} matcher - The matcher as written in the rule.
+ * @returns {RegExp}
+ * @throws {Error} - If the regular expression is invalid.
+ */
+function parseUrlMatcher(matcher) {
+    const parsed = parseMessageMatcher(matcher); // Drops g and y, which would make test() skip every other URL
+    return parsed instanceof RegExp ? parsed : globToRegExp(parsed);
+}
+
+// Rules may give one value or a list; matching is case-insensitive
+const toLowerCaseList = (value) => value === undefined ? null : [].concat(value).map(item => String(item).toLowerCase());
+
+/**
+ * Validates a network rule and fills in its defaults.
+ * @param {object} rule - A rule as written in the rules file, see the README.
+ * @param {string} origin - Where the rule came from, for error messages.
+ * @param {string} baseDir - Directory that relative mock file paths are resolved against.
+ * @returns {object} - The normalized rule.
+ * @throws {Error} - If the rule is invalid.
+ */
+function normalizeRule(rule, origin, baseDir) {
+    if (!rule || typeof rule !== 'object') {
+        throw new Error(`Network rule ${origin} must be an object.`);
+    }
+    const action = rule.action || 'continue';
+    if (!NETWORK_ACTIONS.includes(action)) {
+        throw new Error(`Network rule ${origin} has unknown action "${action}". Expected one of: ${NETWORK_ACTIONS.join(', ')}.`);
+    }
+    const resourceTypes = toLowerCaseList(rule.resourceType);
+    const unknownType = resourceTypes?.find(type => !RESOURCE_TYPES.includes(type));
+    if (unknownType) {
+        throw new Error(`Network rule ${origin} has unknown resourceType "${unknownType}". Expected one of: ${RESOURCE_TYPES.join(', ')}.`);
+    }
+    const bodySources = ['body', 'json', 'file'].filter(key => rule[key] !== undefined);
+    if (bodySources.length > 1) {
+        throw new Error(`Network rule ${origin} can only have one of body, json and file.`);
+    }
+    if (action === 'mock' && bodySources.length === 0 && rule.status === undefined) {
+        throw new Error(`Network rule ${origin} mocks a response but has no status, body, json or file.`);
+    }
+    if (rule.status !== undefined && !(Number.isInteger(rule.status) && rule.status >= 100 && rule.status <= 599)) {
+        throw new Error(`Network rule ${origin} has an invalid status "${rule.status}".`);
+    }
+
+    let url;
+    try {
+        url = rule.url === undefined ? null : parseUrlMatcher(String(rule.url));
+    } catch (e) {
+        throw new Error(`Network rule ${origin}: ${e.message}`);
+    }
+    const replace = [].concat(rule.replace || []).map((replacement, index) => {
+        if (!replacement || typeof replacement.search !== 'string' || replacement.replace === undefined) {
+            throw new Error(`Network rule ${origin}: replace #${index + 1} needs "search" and "replace".`);
+        }
+        return { search: parseMessageMatcher(replacement.search, { keepAllFlags: true }), replace: String(replacement.replace) };
+    });
+
+    return {
+        url,
+        methods: toLowerCaseList(rule.method),
+        resourceTypes,
+        action,
+        errorCode: rule.errorCode || 'blockedbyclient', // Passed to route.abort()
+        status: rule.status,
+        headers: rule.headers || {}, // Response headers (mock and modify)
+        requestHeaders: rule.requestHeaders || {}, // Request headers to set; null removes a header
+        body: rule.body === undefined ? undefined : String(rule.body),
+        json: rule.json,
+        file: rule.file === undefined ? undefined : path.resolve(baseDir, String(rule.file)),
+        contentType: rule.contentType,
+        replace,
+        origin,
+    };
+}
+
+/**
+ * Loads network rules from a JSON file. The first matching rule handles a request.
+ * The file holds an array of rules, or an object with a `rules` array.
+ * Mock files are resolved relative to the rules file.
+ * @param {string} file - Path to the JSON rules file.
+ * @returns {Promise<object[]>} - Normalized rules.
+ * @throws {Error} - If the file can't be read, a rule is invalid, or a mock file doesn't exist.
+ */
+async function loadNetworkRules(file) {
+    let data;
+    try {
+        data = JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (err) {
+        throw new Error(`Error reading network rules file "${file}": ${err.message}`);
+    }
+    const fileRules = Array.isArray(data) ? data : data?.rules;
+    if (!Array.isArray(fileRules)) {
+        throw new Error(`Network rules file "${file}" must contain an array of rules or an object with a "rules" array.`);
+    }
+    const rules = fileRules.map((rule, index) => normalizeRule(rule, `#${index + 1} in "${file}"`, path.dirname(file)));
+    for (const rule of rules) {
+        if (rule.file === undefined) continue;
+        try {
+            await fs.access(rule.file);
+        } catch (e) {
+            throw new Error(`Network rule ${rule.origin} mocks with "${rule.file}", which can't be read.`);
+        }
+    }
+    return rules;
+}
+
+/**
+ * Finds the first rule matching a request. Every condition a rule gives must match.
+ * @param {object[]} rules - Rules from loadNetworkRules.
+ * @param {{ url: string, method: string, resourceType: string }} request - The request.
+ * @returns {object | null} - The matching rule, or null.
+ */
+function findNetworkRule(rules, { url, method, resourceType }) {
+    return rules.find(rule =>
+        (!rule.url || rule.url.test(url))
+        && (!rule.methods || rule.methods.includes(method.toLowerCase()))
+        && (!rule.resourceTypes || rule.resourceTypes.includes(resourceType))
+    ) || null;
+}
+
+// Applies header changes; a null value removes the header. Header names are compared case-insensitively.
+const mergeHeaders = (headers, changes) => {
+    const merged = { ...headers };
+    for (const [name, value] of Object.entries(changes)) {
+        for (const existing of Object.keys(merged)) {
+            if (existing.toLowerCase() === name.toLowerCase()) delete merged[existing];
+        }
+        if (value !== null) merged[name] = String(value);
+    }
+    return merged;
+};
+
+// The rule's replacement body, or undefined if it doesn't replace the body
+const readRuleBody = async (rule) => {
+    if (rule.file !== undefined) return fs.readFile(rule.file);
+    if (rule.json !== undefined) return JSON.stringify(rule.json);
+    return rule.body;
+};
+
+const defaultContentType = (rule) => {
+    if (rule.contentType) return rule.contentType;
+    if (rule.json !== undefined) return 'application/json';
+    if (rule.file !== undefined) return guessMimeType(rule.file);
+    return 'text/plain';
+};
+
+/**
+ * Creates the handler for BrowserContext.route('**') that applies network rules. Every decision is logged.
+ * Requests that are let through fall back to earlier route handlers (such as HAR replay), or to the network.
+ * @param {object[]} rules - Rules from loadNetworkRules.
+ * @param {object} [options]
+ * @param {object | null} [options.harReplayer] - Replayer from loadHarReplayer (--replay-har). `modify` rules then change
+ *   the archived response instead of fetching one, so replayed runs stay offline.
+ * @returns {Function} - The route handler.
+ */
+function createNetworkRouteHandler(rules, { harReplayer = null } = {}) {
+    return async (route) => {
+        const request = route.request();
+        const method = request.method();
+        const resourceType = request.resourceType();
+        const label = `${method} ${resourceType} ${request.url()}`;
+        const rule = findNetworkRule(rules, { url: request.url(), method, resourceType });
+
+        try {
+            if (!rule) {
+                logger.log(`[Network] ${label}: continued (no matching rule).`);
+                await route.fallback();
+                return;
+            }
+
+            const requestHeaders = Object.keys(rule.requestHeaders).length > 0
+                ? mergeHeaders(request.headers(), rule.requestHeaders)
+                : undefined;
+            const headerNote = requestHeaders ? ` with request headers ${Object.keys(rule.requestHeaders).join(', ')} changed` : '';
+
+            switch (rule.action) {
+                case 'block':
+                    logger.log(`[Network] ${label}: blocked (${rule.errorCode}) by rule ${rule.origin}.`);
+                    await route.abort(rule.errorCode);
+                    return;
+
+                case 'mock': {
+                    const body = await readRuleBody(rule);
+                    const status = rule.status ?? 200;
+                    logger.log(`[Network] ${label}: mocked with ${status}${rule.file ? ` from ${rule.file}` : ''} by rule ${rule.origin}.`);
+                    await route.fulfill({
+                        status,
+                        headers: mergeHeaders({ 'content-type': defaultContentType(rule) }, rule.headers),
+                        body: body ?? '',
+                    });
+                    return;
+                }
+
+                case 'modify': {
+                    const changesResponse = rule.status !== undefined || Object.keys(rule.headers).length > 0
+                        || rule.replace.length > 0 || ['body', 'json', 'file'].some(key => rule[key] !== undefined);
+                    if (!changesResponse) {
+                        logger.log(`[Network] ${label}: continued${headerNote} by rule ${rule.origin}.`);
+                        await route.fallback({ headers: requestHeaders });
+                        return;
+                    }
+
+                    // Replayed runs modify the archived response; requests missing from the archive are left to
+                    // the HAR replay handler and its --har-unmatched policy, unmodified
+                    const replayed = harReplayer
+                        ? harReplayer.findResponse({ url: request.url(), method, body: request.postData() ?? undefined })
+                        : null;
+                    if (harReplayer && !replayed) {
+                        logger.warn(`[Network] ${label}: not in the HAR archive, so rule ${rule.origin} can't modify it.`);
+                        await route.fallback({ headers: requestHeaders });
+                        return;
+                    }
+                    const response = replayed ? null : await route.fetch({ headers: requestHeaders });
+                    const originalStatus = replayed ? replayed.response.status : response.status();
+                    const originalHeaders = replayed
+                        ? mergeHeaders(Object.fromEntries(replayed.response.headers), replayed.setCookies.length > 0 ? { 'set-cookie': replayed.setCookies.join('\n') } : {})
+                        : response.headers();
+                    let responseHeaders = mergeHeaders(originalHeaders, rule.headers);
+                    let body = await readRuleBody(rule);
+                    if (body === undefined && rule.replace.length > 0) {
+                        body = await (replayed ? replayed.response : response).text();
+                        for (const { search, replace } of rule.replace) {
+                            body = search instanceof RegExp ? body.replace(search, replace) : body.split(search).join(replace);
+                        }
+                    }
+                    if (body === undefined && replayed) {
+                        body = Buffer.from(await replayed.response.arrayBuffer()); // Already decoded by the archive
+                    }
+                    if (body !== undefined) {
+                        // The body is sent decoded and with a new length
+                        responseHeaders = mergeHeaders(responseHeaders, { 'content-length': null, 'content-encoding': null });
+                    }
+                    const status = rule.status ?? originalStatus;
+                    const changes = [
+                        rule.status !== undefined && `status ${originalStatus} -> ${status}`,
+                        Object.keys(rule.headers).length > 0 && `headers ${Object.keys(rule.headers).join(', ')}`,
+                        rule.replace.length > 0 && body !== undefined && 'body rewritten',
+                        (rule.body !== undefined || rule.json !== undefined || rule.file !== undefined) && 'body replaced',
+                    ].filter(Boolean);
+                    logger.log(`[Network] ${label}: response modified (${changes.join(', ')})${headerNote} by rule ${rule.origin}.`);
+                    await route.fulfill({ response: response ?? undefined, status, headers: responseHeaders, body });
+                    return;
+                }
+
+                case 'continue':
+                default:
+                    logger.log(`[Network] ${label}: continued${headerNote} by rule ${rule.origin}.`);
+                    await route.fallback({ headers: requestHeaders });
+                    return;
+            }
+        } catch (routeError) {
+            logger.error(`[Network] ${label}: error applying ${rule ? `rule ${rule.origin}` : 'default handling'}:`, routeError.message);
+            // Let the request through rather than leaving it hanging, unless it was already handled
+            await route.fallback().catch(() => {});
+        }
+    };
+}
+
+
+module.exports = {
+    loadNetworkRules,
+    findNetworkRule,
+    createNetworkRouteHandler,
+    parseUrlMatcher, // Also used by GM_xmlhttpRequest fixtures
+    // Internal helpers not exported by default
+    // globToRegExp,
+    // normalizeRule
+};
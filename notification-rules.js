@@ -0,0 +1,108 @@
+const fs = require('fs').promises;
+const { parseMessageMatcher } = require('./dialog-rules');
+
+const NOTIFICATION_ACTIONS = ['click', 'close'];
+const MATCH_FIELDS = ['tag', 'title', 'text'];
+
+/**
+ * Validates a notification rule and fills in its defaults.
+ * @param {object} rule - A rule as written in the rules file: { tag?, title?, text?, action?, delay? }.
+ * @param {string} origin - Where the rule came from, for error messages.
+ * @returns {{ tag: RegExp | string | null, title: RegExp | string | null, text: RegExp | string | null, action: string, delay: number, origin: string }}
+ * @throws {Error} - If the rule is invalid.
+ */
+function normalizeRule(rule, origin) {
+    if (!rule || typeof rule !== 'object') {
+        throw new Error(`Notification rule ${origin} must be an object.`);
+    }
+    if (!MATCH_FIELDS.some(field => rule[field] !== undefined)) {
+        throw new Error(`Notification rule ${origin} needs a tag, title or text to match.`);
+    }
+    const action = rule.action || 'click';
+    if (!NOTIFICATION_ACTIONS.includes(action)) {
+        throw new Error(`Notification rule ${origin} has unknown action "${action}". Expected "click" or "close".`);
+    }
+    const delay = rule.delay === undefined ? 0 : Number(rule.delay);
+    if (!Number.isFinite(delay) || delay < 0) {
+        throw new Error(`Notification rule ${origin} has an invalid delay "${rule.delay}".`);
+    }
+
+    const normalized = { action, delay, origin };
+    for (const field of MATCH_FIELDS) {
+        normalized[field] = rule[field] === undefined ? null : parseMessageMatcher(String(rule[field]));
+    }
+    return normalized;
+}
+
+/**
+ * Parses a notification click given on the command line: `tag:<tag>` or `title:<title>`.
+ * Titles may be a regular expression wrapped in slashes.
+ * @param {string} spec - The --click-notification value.
+ * @returns {object} - A normalized rule.
+ * @throws {Error} - If the value is invalid.
+ */
+function parseCliRule(spec) {
+    const origin = `"${spec}" (--click-notification)`;
+    const fieldMatch = spec.match(/^(tag|title):(.+)$/s);
+    if (!fieldMatch) {
+        throw new Error(`Notification rule ${origin} must be "tag:<tag>" or "title:<title>".`);
+    }
+    return normalizeRule({ [fieldMatch[1]]: fieldMatch[2], action: 'click' }, origin);
+}
+
+/**
+ * Loads notification rules from a JSON file and the command line. File rules come first, then CLI rules,
+ * and the first matching rule handles a notification.
+ * The file holds an array of rules, or an object with a `rules` array.
+ * @param {object} options
+ * @param {string | null} [options.file] - Path to the JSON rules file.
+ * @param {string[]} [options.cliRules] - --click-notification values.
+ * @returns {Promise<object[]>} - Normalized rules.
+ * @throws {Error} - If the file can't be read or a rule is invalid.
+ */
+async function loadNotificationRules({ file = null, cliRules = [] } = {}) {
+    const rules = [];
+    if (file) {
+        let data;
+        try {
+            data = JSON.parse(await fs.readFile(file, 'utf8'));
+        } catch (err) {
+            throw new Error(`Error reading notification rules file "${file}": ${err.message}`);
+        }
+        const fileRules = Array.isArray(data) ? data : data?.rules;
+        if (!Array.isArray(fileRules)) {
+            throw new Error(`Notification rules file "${file}" must contain an array of rules or an object with a "rules" array.`);
+        }
+        fileRules.forEach((rule, index) => rules.push(normalizeRule(rule, `#${index + 1} in "${file}"`)));
+    }
+    for (const spec of cliRules) {
+        rules.push(parseCliRule(spec));
+    }
+    return rules;
+}
+
+/**
+ * Finds the first rule matching a notification. Every field a rule gives must match.
+ * Strings match values containing them; tags must match exactly.
+ * @param {object[]} rules - Rules from loadNotificationRules.
+ * @param {{ tag?: string, title?: string, text?: string }} notification - The notification's options.
+ * @returns {object | null} - The matching rule, or null.
+ */
+function findNotificationRule(rules, notification) {
+    return rules.find(rule => MATCH_FIELDS.every(field => {
+        const matcher = rule[field];
+        if (matcher === null) return true;
+        const value = notification[field] == null ? '' : String(notification[field]);
+        if (matcher instanceof RegExp) return matcher.test(value);
+        return field === 'tag' ? value === matcher : value.includes(matcher);
+    })) || null;
+}
+
+
+module.exports = {
+    loadNotificationRules,
+    findNotificationRule,
+    // Internal helpers not exported by default
+    // parseCliRule,
+    // normalizeRule
+};
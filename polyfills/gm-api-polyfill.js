@@ -3,7 +3,7 @@
 // @namespace   Violentmonkey Scripts
 // @match       *://*/*
 // @grant       none
-// @version     1.2 // Increment version
+// @version     1.3 // Increment version
 // @author      -
 // @description Polyfills Greasemonkey APIs for use within Playwright's environment, using window bridge functions for storage.
 // @run-at      document-start
@@ -12,63 +12,294 @@
 (function() {
     'use strict';
 
-    if (typeof unsafeWindow === 'undefined') {
-        // Define unsafeWindow if it doesn't exist (common in non-GM environments)
-        // In Playwright's isolated world, window should be safe enough for this purpose.
-        window.unsafeWindow = window;
-    }
-
     // --- Helper Functions ---
     const logPrefix = '[GM Polyfill]';
     const log = (...args) => console.log(logPrefix, ...args);
     const warn = (...args) => console.warn(logPrefix, ...args);
     const error = (...args) => console.error(logPrefix, ...args);
 
+    // --- Bridges Called With a Script's Token ---
+    // Looked up once, when the polyfill loads before any page script, so a page that later replaces the
+    // globals with wrappers can't read the bridge tokens of the scripts calling them.
+    const bridges = {
+        gmSetValueBridge: window.gmSetValueBridge,
+        gmGetValueBridge: window.gmGetValueBridge,
+        gmDeleteValueBridge: window.gmDeleteValueBridge,
+        gmListValuesBridge: window.gmListValuesBridge,
+        GM_xmlhttpRequest_bridge: window.GM_xmlhttpRequest_bridge,
+        GM_download_bridge: window.GM_download_bridge,
+    };
+
     // --- Storage for Registered Menu Commands ---
-    // Exposed on window for potential external access/triggering if needed
-    unsafeWindow.__registeredMenuCommands = {};
-
-    // --- GM_info ---
-    // Basic implementation, details might need adjustment based on runner context
-    const scriptInfo = {
-        script: {
-            name: 'Polyfilled Script (Name Unknown)', // Placeholder, ideally runner injects specific script info
-            namespace: 'Polyfill Namespace',
-            description: 'Running within Playwright GM Polyfill',
-            version: '1.2', // Match script version
-            // Metadata can be expanded if runner provides it
-            // grants: [], // Populated below
-            // requires: [],
-            // resources: {},
-            // includes: [],
-            // excludes: [],
-            matches: ['*://*/*'], // Placeholder
-            'run-at': 'document-start', // Placeholder
-        },
-        scriptMetaStr: '// ==UserScript==\n// @name Polyfilled Script...\n// ==/UserScript==', // Placeholder
-        scriptHandler: 'Playwright GM Polyfill',
-        version: 'N/A', // Playwright version? Polyfill version?
-        injectInto: 'page', // Playwright injects into page context
+    // Exposed on window so the runner can list and run them. Entries: { caption, script, callback }, in
+    // registration order; a caption is unique per script, so two scripts may register the same one.
+    window.__menuCommands = [];
+
+    // --- Value Stores ---
+    // Each script instance keeps a copy of its stored values so GM_getValue/GM_listValues can be
+    // synchronous. The runner sends the snapshot along with the script and calls
+    // window.__gmStorageChanged whenever a value is changed by another tab or another run.
+    const valueStores = new Set(); // Entries: { storageId, values, listeners: Map<id, { key, callback }> }
+    let listenerIdCounter = 0;
+
+    // Values are JSON-serializable; hand out copies so callers can't mutate the store
+    const cloneValue = (value) => value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+
+    const createValueStore = (storageId, snapshot = {}) => {
+        const store = { storageId, values: { ...snapshot }, listeners: new Map() };
+        valueStores.add(store);
+        return store;
+    };
+
+    // Updates every store of a script in this page and calls its GM_addValueChangeListener listeners
+    // with (name, oldValue, newValue, remote). Listeners only fire if the value actually changed.
+    const applyValueChange = (storageId, key, newValue, deleted, remote) => {
+        for (const store of valueStores) {
+            if (store.storageId !== storageId) continue;
+
+            const oldValue = store.values[key];
+            const hadValue = Object.prototype.hasOwnProperty.call(store.values, key);
+            if (deleted) {
+                delete store.values[key];
+            } else {
+                store.values[key] = newValue;
+            }
+            const unchanged = deleted ? !hadValue : hadValue && JSON.stringify(oldValue) === JSON.stringify(newValue);
+            if (unchanged) continue;
+
+            for (const listener of store.listeners.values()) {
+                if (listener.key !== key) continue;
+                try {
+                    listener.callback(key, cloneValue(oldValue), deleted ? undefined : cloneValue(newValue), remote);
+                } catch (e) {
+                    error(`Error in value change listener for key "${key}":`, e);
+                }
+            }
+        }
+    };
+
+    window.__gmStorageChanged = (storageId, key, newValue, deleted, remote = true) => {
+        applyValueChange(storageId, key, newValue, deleted, remote);
+    };
+
+    // --- Notification Tracking ---
+    // Notification callbacks can't cross the bridge, so they are kept here and the runner calls
+    // window.__gmNotificationEvent when a notification is clicked, closed or times out.
+    const notificationMap = new Map(); // id -> { onclick, ondone }
+    let notificationIdCounter = 0;
+
+    window.__gmNotificationEvent = (notificationId, eventName, clicked = false) => {
+        const notification = notificationMap.get(notificationId);
+        if (!notification) {
+            warn(`Received ${eventName} for unknown GM_notification ID: ${notificationId}`);
+            return;
+        }
+        log(`GM_notification Callback: id=${notificationId}, event=${eventName}`);
+        const callback = notification[eventName];
+        if (eventName === 'ondone') {
+            notificationMap.delete(notificationId); // A notification is done once
+        }
+        if (typeof callback === 'function') {
+            try {
+                callback(eventName === 'ondone' ? clicked : undefined);
+            } catch (cbError) {
+                error(`Error executing GM_notification ${eventName} callback (id: ${notificationId}):`, cbError);
+            }
+        }
+    };
+
+    // --- Tab Tracking ---
+    // Handles returned by GM_openInTab. The runner calls window.__gmTabClosed when an opened tab
+    // closes, whether the script, the page itself or the runner closed it.
+    const tabMap = new Map(); // id -> handle
+    let tabIdCounter = 0;
+
+    const markTabClosed = (tabId) => {
+        const handle = tabMap.get(tabId);
+        if (!handle) return;
+        tabMap.delete(tabId);
+        handle.closed = true;
+        log(`GM_openInTab: tab ${tabId} closed`);
+        if (typeof handle.onclose === 'function') {
+            try {
+                handle.onclose();
+            } catch (cbError) {
+                error(`Error executing GM_openInTab onclose callback (tab: ${tabId}):`, cbError);
+            }
+        }
+    };
+
+    window.__gmTabClosed = (tabId) => markTabClosed(tabId);
+
+    // --- Download Tracking ---
+    // GM_download callbacks, called by the runner through window.__gmDownloadEvent
+    const downloadMap = new Map(); // id -> details
+    let downloadIdCounter = 0;
+
+    // The bridge ends every download with exactly one of these
+    const FINAL_DOWNLOAD_EVENTS = ['onload', 'onerror', 'ontimeout', 'onabort'];
+
+    window.__gmDownloadEvent = (downloadId, eventName, data) => {
+        const details = downloadMap.get(downloadId);
+        if (!details) {
+            warn(`Received ${eventName} for unknown GM_download ID: ${downloadId}`);
+            return;
+        }
+        if (FINAL_DOWNLOAD_EVENTS.includes(eventName)) {
+            log(`GM_download Callback: id=${downloadId}, event=${eventName}`);
+            downloadMap.delete(downloadId);
+        }
+        const callback = details[eventName];
+        if (typeof callback !== 'function') return;
+        try {
+            callback(data);
+        } catch (cbError) {
+            error(`Error executing GM_download ${eventName} callback (id: ${downloadId}):`, cbError);
+        }
+    };
+
+    // Blob URLs only exist in this page, so their content is read here and sent to the runner as base64
+    const readBlobUrlAsBase64 = async (url) => {
+        const blob = await (await fetch(url)).blob();
+        const bytes = new Uint8Array(await blob.arrayBuffer());
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return { base64: btoa(binary), type: blob.type };
+    };
+
+    // --- GM_xmlhttpRequest Request Tracking ---
+    // Shared by every script, since the Node.js bridge calls back through a single window handler
+    const requestMap = new Map();
+    let requestIdCounter = 0;
+
+    // The bridge ends every request with exactly one of these
+    const FINAL_XHR_EVENTS = ['onload', 'onerror', 'onabort', 'ontimeout'];
+
+    const callXhrCallback = (requestId, details, eventName, responseData) => {
+        const callback = details[eventName];
+        if (typeof callback !== 'function') return;
+        try {
+            callback(responseData);
+        } catch (cbError) {
+            error(`Error executing GM_xmlhttpRequest callback (${eventName}, id: ${requestId}):`, cbError);
+        }
+    };
+
+    // Parses a response body into a Document, as HTML unless the content type names an XML type
+    const parseResponseDocument = (text, contentType = '') => {
+        const mimeType = (contentType.split(';')[0] || '').trim().toLowerCase();
+        const parserType = ['text/xml', 'application/xml', 'application/xhtml+xml', 'image/svg+xml'].includes(mimeType)
+            ? mimeType
+            : /\+xml$/.test(mimeType) ? 'application/xml' : 'text/html';
+        try {
+            return new DOMParser().parseFromString(text, parserType);
+        } catch (e) {
+            error('Error parsing GM_xmlhttpRequest response as a document:', e);
+            return null;
+        }
+    };
+
+    // Handler for responses coming back from the Node.js bridge
+    window.GM_xmlhttpRequest_callback_handler = (requestId, eventName, responseData) => {
+        const requestContext = requestMap.get(requestId);
+        if (!requestContext) {
+            warn(`Received callback for unknown GM_xmlhttpRequest ID: ${requestId}`);
+            return;
+        }
+
+        if (eventName !== 'onprogress') { // Progress events would flood the console on large downloads
+            log(`GM_xmlhttpRequest Callback: id=${requestId}, event=${eventName}`);
+        }
+
+        if (!FINAL_XHR_EVENTS.includes(eventName)) {
+            callXhrCallback(requestId, requestContext.details, eventName, responseData);
+            return;
+        }
+
+        // Reconstruct Blob/ArrayBuffer from Base64 if needed
+         if ((responseData._responseType === 'blob' || responseData._responseType === 'arraybuffer') && typeof responseData.response === 'string') {
+            try {
+                const byteString = atob(responseData.response);
+                const byteNumbers = new Array(byteString.length);
+                for (let i = 0; i < byteString.length; i++) {
+                    byteNumbers[i] = byteString.charCodeAt(i);
+                }
+                const byteArray = new Uint8Array(byteNumbers);
+
+                if (responseData._responseType === 'blob') {
+                    const mimeType = responseData._contentType || ''; // Use content type from bridge
+                    responseData.response = new Blob([byteArray], { type: mimeType });
+                } else { // arraybuffer
+                    responseData.response = byteArray.buffer;
+                }
+                 log(`  > Decoded base64 response for ${responseData._responseType}`);
+            } catch (e) {
+                error(`Error decoding base64 response in browser (id: ${requestId}):`, e);
+                // Report the request as failed instead of loaded
+                eventName = 'onerror';
+                responseData = {
+                    ...responseData, // Include original response data
+                    response: undefined,
+                    error: `Failed to decode base64 response: ${e.message}`,
+                    status: 0, // Indicate client-side error
+                    statusText: 'Decoding Error'
+                };
+            }
+        }
+
+         // Add responseText if the effective type was text
+         if (responseData._responseType === 'text' && typeof responseData.response === 'string') {
+             responseData.responseText = responseData.response;
+         }
+
+        // Parse documents in the browser, where DOMParser is available
+        if (responseData._responseType === 'document' && typeof responseData.response === 'string') {
+            responseData.response = parseResponseDocument(responseData.response, responseData._contentType);
+            responseData.responseXML = responseData.response;
+        } else if (typeof responseData.responseText === 'string' && /xml/i.test(responseData._contentType || '')) {
+            // Like XMLHttpRequest, XML text responses also get responseXML. Parsed on first access only.
+            const responseText = responseData.responseText;
+            let responseXML;
+            Object.defineProperty(responseData, 'responseXML', {
+                get: () => responseXML === undefined ? (responseXML = parseResponseDocument(responseText, responseData._contentType)) : responseXML,
+                enumerable: true,
+                configurable: true,
+            });
+        }
+
+        // Final events follow XMLHttpRequest order: readystatechange (DONE), the event itself, then loadend
+        responseData.readyState = 4;
+        callXhrCallback(requestId, requestContext.details, 'onreadystatechange', responseData);
+        callXhrCallback(requestId, requestContext.details, eventName, responseData);
+        callXhrCallback(requestId, requestContext.details, 'onloadend', responseData);
+        requestMap.delete(requestId);
     };
-    // Attempt to get script name from current execution context if possible (difficult)
-    // This might be overridden by specific script wrappers if implemented
-
-    if (typeof GM_info === 'undefined') {
-        log('Defining GM_info');
-        unsafeWindow.GM_info = scriptInfo;
-        // Add GM_info to grants list for completeness
-        // scriptInfo.script.grants.push('GM_info');
-    } else {
-        warn('GM_info already defined.');
-    }
-
-    // --- Storage APIs (Bridged via window) ---
-    // These rely on functions exposed by Playwright's page.exposeFunction on the window object
-
-    if (typeof GM_setValue === 'undefined') {
-        log('Defining GM_setValue');
-        unsafeWindow.GM_setValue = async (key, value) => {
-            if (typeof window.gmSetValueBridge !== 'function') {
+
+    /**
+     * Creates the full set of GM_* functions for one userscript.
+     * @param {object} info - The script's GM_info object.
+     * @param {object} context - Per-script data from the runner: { resources, values, storageId, bridgeToken }.
+     * @returns {object} - Map of API name to implementation.
+     */
+    const createApi = (info, context) => {
+        const scriptName = info.script.name;
+        const api = {};
+
+        // --- GM_info ---
+        // Not defined here: the runner wraps each userscript in its own scope and passes it a
+        // GM_info built from that script's metadata (see script-wrapper.js).
+
+        // --- Storage APIs (Bridged via window) ---
+        // The async helpers rely on functions exposed by Playwright's page.exposeFunction on the window object.
+        // GM.* uses them directly; the synchronous GM_* functions below read from the script's value store.
+        // Every call carries the script's bridge token, so the runner uses that script's storage (its @namespace + @name)
+        // and scripts don't share keys.
+        const storageId = context.storageId;
+
+        const setValueAsync = async (key, value) => {
+            if (typeof bridges.gmSetValueBridge !== 'function') {
                 error('GM_setValue bridge (window.gmSetValueBridge) not found. GM_setValue will not be functional.');
                 return Promise.reject(new Error('GM_setValue bridge (window.gmSetValueBridge) not found.'));
             }
@@ -79,22 +310,16 @@
             try {
                 // Ensure value is serializable (basic check)
                 JSON.stringify(value); // Throws on circular refs, BigInt, etc.
-                await window.gmSetValueBridge(key, value);
+                await bridges.gmSetValueBridge(context.bridgeToken, key, value);
                 // GM spec indicates it returns a Promise<void>, await handles this implicitly
             } catch (e) {
                 error(`GM_setValue Error (key: ${key}):`, e);
                 return Promise.reject(e); // Propagate error
             }
         };
-        // scriptInfo.script.grants.push('GM_setValue');
-    } else {
-        warn('GM_setValue already defined.');
-    }
-
-    if (typeof GM_getValue === 'undefined') {
-        log('Defining GM_getValue');
-        unsafeWindow.GM_getValue = async (key, defaultValue) => {
-             if (typeof window.gmGetValueBridge !== 'function') {
+
+        const getValueAsync = async (key, defaultValue) => {
+             if (typeof bridges.gmGetValueBridge !== 'function') {
                 error('GM_getValue bridge (window.gmGetValueBridge) not found. GM_getValue will return default value.');
                 return Promise.resolve(defaultValue); // Return default if bridge missing
             }
@@ -107,7 +332,7 @@
             }
             try {
                 // Bridge function is expected to handle the defaultValue logic if the key isn't found
-                return await window.gmGetValueBridge(key, defaultValue); // Returns Promise<any>
+                return await bridges.gmGetValueBridge(context.bridgeToken, key, defaultValue); // Returns Promise<any>
             } catch (e) {
                  error(`GM_getValue Error (key: ${key}):`, e);
                  // If the bridge fails, should we return defaultValue?
@@ -115,15 +340,9 @@
                  return Promise.reject(e);
             }
         };
-        // scriptInfo.script.grants.push('GM_getValue');
-    } else {
-        warn('GM_getValue already defined.');
-    }
-
-    if (typeof GM_deleteValue === 'undefined') {
-        log('Defining GM_deleteValue');
-        unsafeWindow.GM_deleteValue = async (key) => {
-             if (typeof window.gmDeleteValueBridge !== 'function') {
+
+        const deleteValueAsync = async (key) => {
+             if (typeof bridges.gmDeleteValueBridge !== 'function') {
                 error('GM_deleteValue bridge (window.gmDeleteValueBridge) not found. GM_deleteValue will not be functional.');
                 return Promise.reject(new Error('GM_deleteValue bridge (window.gmDeleteValueBridge) not found.'));
             }
@@ -132,69 +351,97 @@
                 return Promise.reject(new Error('GM_deleteValue: key must be a non-empty string.'));
             }
             try {
-                await window.gmDeleteValueBridge(key);
+                await bridges.gmDeleteValueBridge(context.bridgeToken, key);
                 // Returns Promise<void>
             } catch (e) {
                  error(`GM_deleteValue Error (key: ${key}):`, e);
                  return Promise.reject(e);
             }
         };
-        // scriptInfo.script.grants.push('GM_deleteValue');
-    } else {
-        warn('GM_deleteValue already defined.');
-    }
-
-    if (typeof GM_listValues === 'undefined') {
-        log('Defining GM_listValues');
-        unsafeWindow.GM_listValues = async () => {
-            if (typeof window.gmListValuesBridge !== 'function') {
+
+        const listValuesAsync = async () => {
+            if (typeof bridges.gmListValuesBridge !== 'function') {
                 error('GM_listValues bridge (window.gmListValuesBridge) not found. GM_listValues will return empty array.');
                 return Promise.resolve([]); // Return empty array if bridge missing
             }
             try {
-                return await window.gmListValuesBridge(); // Returns Promise<string[]>
+                return await bridges.gmListValuesBridge(context.bridgeToken); // Returns Promise<string[]>
             } catch (e) {
                  error('GM_listValues Error:', e);
                  return Promise.reject(e);
             }
         };
-        // scriptInfo.script.grants.push('GM_listValues');
-    } else {
-        warn('GM_listValues already defined.');
-    }
-
-    // --- Resource APIs ---
-    // These require the runner to provide resource content, possibly via another bridge
-
-    if (typeof GM_getResourceText === 'undefined') {
-        // Requires a bridge function like GM_getResourceText_bridge(resourceName)
-        warn('GM_getResourceText_bridge not found. GM_getResourceText will not be functional.');
-        unsafeWindow.GM_getResourceText = (name) => {
-            error(`GM_getResourceText("${name}") called, but bridge is not available.`);
-            return null; // Or throw error? GM spec says returns string | null
+
+        // Tampermonkey semantics: reads are synchronous and served from the in-page snapshot,
+        // writes update the snapshot immediately and persist through the bridge in the background.
+        const store = createValueStore(storageId, context.values);
+        const values = store.values;
+
+        api.GM_getValue = (key, defaultValue) => {
+            if (typeof key !== 'string' || key.length === 0) {
+                error('GM_getValue: key must be a non-empty string.');
+                return defaultValue;
+            }
+            return Object.prototype.hasOwnProperty.call(values, key) ? cloneValue(values[key]) : defaultValue;
+        };
+
+        api.GM_listValues = () => Object.keys(values);
+
+        // Return the bridge promise so existing `.then()` callers keep working
+        api.GM_setValue = (key, value) => {
+            if (typeof key === 'string' && key.length > 0) {
+                try {
+                    // Local change: listeners get remote=false. The runner only notifies other tabs.
+                    applyValueChange(storageId, key, cloneValue(value), false, false); // Throws on circular refs, BigInt, etc.
+                } catch (e) {
+                    // setValueAsync reports the serialization error
+                }
+            }
+            return setValueAsync(key, value);
+        };
+
+        api.GM_deleteValue = (key) => {
+            if (typeof key === 'string') {
+                applyValueChange(storageId, key, undefined, true, false);
+            }
+            return deleteValueAsync(key);
+        };
+
+        // --- Resource APIs ---
+        // The script wrapper passes the script's @resource content in context.resources
+        // ({ name: { url, mimeType, content (base64) } }) because these APIs are synchronous.
+
+        const getResource = (name) => {
+            const resources = context.resources || {};
+            if (!Object.prototype.hasOwnProperty.call(resources, name)) {
+                error(`Resource "${name}" not found. Is it declared with @resource in "${scriptName}"?`);
+                return null;
+            }
+            return resources[name];
+        };
+
+        api.GM_getResourceText = (name) => {
+            const resource = getResource(name);
+            if (!resource) return null; // GM spec says returns string | null
+            try {
+                const byteString = atob(resource.content);
+                const bytes = Uint8Array.from(byteString, c => c.charCodeAt(0));
+                return new TextDecoder().decode(bytes); // Resources are assumed UTF-8
+            } catch (e) {
+                error(`GM_getResourceText Error (name: ${name}):`, e);
+                return null;
+            }
         };
-        // scriptInfo.script.grants.push('GM_getResourceText');
-    } else {
-        warn('GM_getResourceText already defined.');
-    }
-
-    if (typeof GM_getResourceURL === 'undefined') {
-        // Requires a bridge function like GM_getResourceURL_bridge(resourceName)
-        // This bridge would likely return a data: URL with the resource content
-        warn('GM_getResourceURL_bridge not found. GM_getResourceURL will not be functional.');
-        unsafeWindow.GM_getResourceURL = (name) => {
-             error(`GM_getResourceURL("${name}") called, but bridge is not available.`);
-             return null; // Or throw error? GM spec says returns string | null
+
+        api.GM_getResourceURL = (name) => {
+            const resource = getResource(name);
+            if (!resource) return null; // GM spec says returns string | null
+            // A data: URL keeps the MIME type, so CSS/images/fonts load as expected
+            return `data:${resource.mimeType};base64,${resource.content}`;
         };
-        // scriptInfo.script.grants.push('GM_getResourceURL');
-    } else {
-        warn('GM_getResourceURL already defined.');
-    }
-
-    // --- GM_addStyle ---
-    if (typeof GM_addStyle === 'undefined') {
-        log('Defining GM_addStyle');
-        unsafeWindow.GM_addStyle = (css) => {
+
+        // --- GM_addStyle ---
+        api.GM_addStyle = (css) => {
             try {
                 const style = document.createElement('style');
                 style.textContent = css;
@@ -207,89 +454,10 @@
                 return null;
             }
         };
-        // scriptInfo.script.grants.push('GM_addStyle');
-    } else {
-        warn('GM_addStyle already defined.');
-    }
-
-    // --- GM_xmlhttpRequest (Bridged) ---
-    if (typeof GM_xmlhttpRequest === 'undefined') {
-        if (typeof GM_xmlhttpRequest_bridge === 'function') {
-            log('Defining GM_xmlhttpRequest');
-            const requestMap = new Map();
-            let requestIdCounter = 0;
-
-            // Handler for responses coming back from the Node.js bridge
-            unsafeWindow.GM_xmlhttpRequest_callback_handler = (requestId, eventName, responseData) => {
-                const requestContext = requestMap.get(requestId);
-                if (!requestContext) {
-                    warn(`Received callback for unknown GM_xmlhttpRequest ID: ${requestId}`);
-                    return;
-                }
-
-                const callback = requestContext.details[eventName];
-                log(`GM_xmlhttpRequest Callback: id=${requestId}, event=${eventName}`);
-
-                // Reconstruct Blob/ArrayBuffer from Base64 if needed
-                 if ((responseData._responseType === 'blob' || responseData._responseType === 'arraybuffer') && typeof responseData.response === 'string') {
-                    try {
-                        const byteString = atob(responseData.response);
-                        const byteNumbers = new Array(byteString.length);
-                        for (let i = 0; i < byteString.length; i++) {
-                            byteNumbers[i] = byteString.charCodeAt(i);
-                        }
-                        const byteArray = new Uint8Array(byteNumbers);
 
-                        if (responseData._responseType === 'blob') {
-                            const mimeType = responseData._contentType || ''; // Use content type from bridge
-                            responseData.response = new Blob([byteArray], { type: mimeType });
-                        } else { // arraybuffer
-                            responseData.response = byteArray.buffer;
-                        }
-                         log(`  > Decoded base64 response for ${responseData._responseType}`);
-                    } catch (e) {
-                        error(`Error decoding base64 response in browser (id: ${requestId}):`, e);
-                        // Trigger onerror if decoding fails? Or pass raw base64?
-                        // Let's trigger onerror for consistency.
-                        const errorCallback = requestContext.details['onerror'];
-                        if (typeof errorCallback === 'function') {
-                             try {
-                                 errorCallback({
-                                     ...responseData, // Include original response data
-                                     error: `Failed to decode base64 response: ${e.message}`,
-                                     status: 0, // Indicate client-side error
-                                     statusText: 'Decoding Error'
-                                 });
-                             } catch (cbError) {
-                                 error(`Error executing onerror callback after decoding failure (id: ${requestId}):`, cbError);
-                             }
-                        }
-                        requestMap.delete(requestId); // Clean up failed request
-                        return; // Stop processing this callback
-                    }
-                }
-
-                 // Add responseText if the effective type was text
-                 if (responseData._responseType === 'text' && typeof responseData.response === 'string') {
-                     responseData.responseText = responseData.response;
-                 }
-
-
-                if (typeof callback === 'function') {
-                    try {
-                        callback(responseData);
-                    } catch (cbError) {
-                        error(`Error executing GM_xmlhttpRequest callback (${eventName}, id: ${requestId}):`, cbError);
-                    }
-                }
-
-                // Clean up on final events
-                if (['onload', 'onerror', 'onabort', 'ontimeout'].includes(eventName)) {
-                    requestMap.delete(requestId);
-                }
-            };
-
-            unsafeWindow.GM_xmlhttpRequest = (details) => {
+        // --- GM_xmlhttpRequest (Bridged) ---
+        if (typeof bridges.GM_xmlhttpRequest_bridge === 'function') {
+            api.GM_xmlhttpRequest = (details) => {
                 const requestId = ++requestIdCounter;
                 log(`GM_xmlhttpRequest Called: id=${requestId}, method=${details.method}, url=${details.url}`);
                 requestMap.set(requestId, { details });
@@ -297,100 +465,156 @@
                 // Basic validation
                 if (!details.url || typeof details.url !== 'string') {
                      error(`GM_xmlhttpRequest (id: ${requestId}): Invalid or missing 'url'.`);
-                     // Immediately call onerror
-                     if (typeof details.onerror === 'function') {
-                         details.onerror({ error: "Invalid or missing 'url'", finalUrl: details.url, status: 0, statusText: 'Invalid Request' });
-                     }
-                     requestMap.delete(requestId);
+                     // Immediately call onerror (and onreadystatechange/onloadend, like any failed request)
+                     window.GM_xmlhttpRequest_callback_handler(requestId, 'onerror', { error: "Invalid or missing 'url'", finalUrl: details.url, status: 0, statusText: 'Invalid Request' });
                      // GM spec doesn't define return value clearly for immediate error, return dummy abort object?
                      return { abort: () => log(`Abort called on invalid request (id: ${requestId})`) };
                 }
 
 
                 // Send request details to the Node.js bridge
-                GM_xmlhttpRequest_bridge(requestId, details)
+                // The bridge token tells the bridge which script is asking, for its @connect rules
+                bridges.GM_xmlhttpRequest_bridge(requestId, details, context.bridgeToken)
                     .catch(bridgeError => {
                         // Handle errors during the bridge call itself (e.g., Playwright disconnected)
                         error(`GM_xmlhttpRequest Bridge Error (id: ${requestId}):`, bridgeError);
-                        const errorCallback = details.onerror;
-                        if (typeof errorCallback === 'function') {
-                            try {
-                                errorCallback({
-                                    error: `Bridge communication error: ${bridgeError.message}`,
-                                    finalUrl: details.url,
-                                    status: 0,
-                                    statusText: 'Bridge Error'
-                                });
-                            } catch (cbError) {
-                                 error(`Error executing onerror callback after bridge failure (id: ${requestId}):`, cbError);
-                            }
+                        if (requestMap.has(requestId)) {
+                            window.GM_xmlhttpRequest_callback_handler(requestId, 'onerror', {
+                                error: `Bridge communication error: ${bridgeError.message}`,
+                                finalUrl: details.url,
+                                status: 0,
+                                statusText: 'Bridge Error'
+                            });
                         }
-                        requestMap.delete(requestId); // Clean up failed request
                     });
 
                 // Return an abort handle
                 return {
                     abort: () => {
                         log(`GM_xmlhttpRequest Abort Called: id=${requestId}`);
-                        const requestContext = requestMap.get(requestId);
-                        if (requestContext) {
-                            // Inform the bridge to abort the request if possible
-                            // This might require another bridge function like GM_xmlhttpRequest_abort_bridge(requestId)
-                            // For now, we just trigger the 'onabort' locally if the bridge hasn't completed yet.
-                            // The bridge itself should map AbortError to onabort.
-                            warn(`Abort handle used, but requires GM_xmlhttpRequest_abort_bridge for full effect.`);
-                            // Optionally, trigger onabort immediately for faster feedback?
-                            // GM_xmlhttpRequest_callback_handler(requestId, 'onabort', { finalUrl: requestContext.details.url });
-                            // requestMap.delete(requestId); // Remove if triggering locally
+                        if (!requestMap.has(requestId)) return; // Already finished
+                        if (typeof GM_xmlhttpRequest_abort_bridge !== 'function') {
+                            warn('GM_xmlhttpRequest_abort_bridge not found. The request could not be aborted.');
+                            return;
                         }
+                        // The bridge aborts the fetch, which then reports onabort through the callback handler
+                        GM_xmlhttpRequest_abort_bridge(requestId)
+                            .catch(bridgeError => error(`GM_xmlhttpRequest Abort Bridge Error (id: ${requestId}):`, bridgeError));
                     }
                 };
             };
-            // scriptInfo.script.grants.push('GM_xmlhttpRequest');
         } else {
             warn('GM_xmlhttpRequest_bridge not found. GM_xmlhttpRequest will not be functional.');
-            unsafeWindow.GM_xmlhttpRequest = () => {
+            api.GM_xmlhttpRequest = () => {
                 error('GM_xmlhttpRequest is not available.');
                 // Return dummy abort handle
                  return { abort: () => {} };
             };
         }
-    } else {
-        warn('GM_xmlhttpRequest already defined.');
-    }
 
-    // --- Tab and Window APIs (Bridged/Partial) ---
+        // --- Tab and Window APIs (Bridged/Partial) ---
 
-    if (typeof GM_openInTab === 'undefined') {
          if (typeof GM_openInTab_bridge === 'function') {
-            log('Defining GM_openInTab');
-            unsafeWindow.GM_openInTab = (url, options) => {
+            // Returns a handle like Tampermonkey's: { close(), closed, onclose }
+            api.GM_openInTab = (url, options) => {
                 const openInBackground = typeof options === 'boolean' ? options : options?.active === false;
-                log(`GM_openInTab: url=${url}, background=${openInBackground}`);
-                try {
-                    // Call the bridge function
-                    GM_openInTab_bridge(url, { active: !openInBackground });
-                    // Note: The returned object (with close, closed, onclose) is not easily polyfilled here.
-                } catch (e) {
-                     error(`GM_openInTab Error (url: ${url}):`, e);
-                }
+                const tabOptions = {
+                    active: !openInBackground,
+                    insert: typeof options === 'object' && options?.insert !== undefined ? Boolean(options.insert) : true,
+                    setParent: typeof options === 'object' && Boolean(options?.setParent),
+                };
+                const tabId = ++tabIdCounter;
+                log(`GM_openInTab: id=${tabId}, url=${url}, background=${openInBackground}`);
+
+                let opened; // Resolves to true once the runner has opened the tab
+                const handle = {
+                    closed: false,
+                    onclose: null,
+                    close: () => {
+                        if (handle.closed) return;
+                        // The tab may still be opening; close it as soon as it exists
+                        opened.then(isOpen => {
+                            if (isOpen && !handle.closed) return GM_closeTab_bridge(tabId);
+                        }).catch(e => error(`GM_openInTab close Error (tab: ${tabId}):`, e));
+                    },
+                };
+                tabMap.set(tabId, handle);
+                opened = GM_openInTab_bridge(tabId, String(url), tabOptions)
+                    .then(() => true)
+                    .catch(e => {
+                        error(`GM_openInTab Error (url: ${url}):`, e);
+                        markTabClosed(tabId); // The tab never opened
+                        return false;
+                    });
+                return handle;
             };
-            // scriptInfo.script.grants.push('GM_openInTab');
          } else {
              warn('GM_openInTab_bridge not found. GM_openInTab will not be functional.');
-             unsafeWindow.GM_openInTab = (url) => { error(`GM_openInTab(${url}) called, but bridge is not available.`); };
+             api.GM_openInTab = (url) => {
+                 error(`GM_openInTab(${url}) called, but bridge is not available.`);
+                 return { closed: true, onclose: null, close: () => {} };
+             };
          }
-    } else {
-        warn('GM_openInTab already defined.');
-    }
 
-    // --- Clipboard API (Bridged/Partial) ---
+        // --- GM_download (Bridged) ---
+        // Downloads are made by the runner and saved to its downloads directory. Accepts
+        // GM_download(details) or GM_download(url, name) and returns { abort() }.
+        if (typeof bridges.GM_download_bridge === 'function') {
+            api.GM_download = (detailsOrUrl, name) => {
+                const details = typeof detailsOrUrl === 'string' ? { url: detailsOrUrl, name } : { ...(detailsOrUrl || {}) };
+                const downloadId = ++downloadIdCounter;
+                downloadMap.set(downloadId, details);
+                log(`GM_download: id=${downloadId}, url=${details.url}, name=${details.name}`);
+
+                let aborted = false; // Set if abort() is called before the runner has the download
+                const fail = (message) => window.__gmDownloadEvent(downloadId, 'onerror', { error: 'not_succeeded', details: message });
+                const start = async () => {
+                    if (!details.url) {
+                        throw new Error('GM_download needs a url.');
+                    }
+                    const url = String(details.url);
+                    const bridgeDetails = {
+                        url: new URL(url, location.href).href,
+                        name: details.name == null ? null : String(details.name),
+                        headers: details.headers || {},
+                        saveAs: Boolean(details.saveAs),
+                        conflictAction: details.conflictAction || 'uniquify',
+                        timeout: details.timeout,
+                    };
+                    if (url.startsWith('blob:')) {
+                        bridgeDetails.blob = await readBlobUrlAsBase64(url);
+                    }
+                    if (aborted) {
+                        window.__gmDownloadEvent(downloadId, 'onabort', { error: 'aborted' });
+                        return;
+                    }
+                    await bridges.GM_download_bridge(downloadId, bridgeDetails, context.bridgeToken);
+                };
+                start().catch(e => {
+                    error(`GM_download Error (id: ${downloadId}):`, e);
+                    fail(e.message);
+                });
+
+                return {
+                    abort: () => {
+                        aborted = true;
+                        GM_download_abort_bridge(downloadId)
+                            .catch(e => error(`GM_download abort Error (id: ${downloadId}):`, e));
+                    }
+                };
+            };
+        } else {
+            api.GM_download = () => {
+                error('GM_download is not available.');
+                return { abort: () => {} };
+            };
+        }
+
+        // --- Clipboard API (Bridged/Partial) ---
 
-    if (typeof GM_setClipboard === 'undefined') {
          if (typeof GM_setClipboard_bridge === 'function') {
-            log('Defining GM_setClipboard');
             // Uses bridge which calls page.evaluate -> navigator.clipboard.writeText
-            unsafeWindow.GM_setClipboard = (text, type = 'text') => {
+            api.GM_setClipboard = (text, type = 'text') => {
                  log(`GM_setClipboard: type=${type}`);
                  if (type !== 'text') {
                      warn(`GM_setClipboard: type "${type}" is not fully supported, treating as text.`);
@@ -402,54 +626,55 @@
                       error('GM_setClipboard Error:', e);
                  }
             };
-            // scriptInfo.script.grants.push('GM_setClipboard');
          } else {
              warn('GM_setClipboard_bridge not found. GM_setClipboard will not be functional.');
-             unsafeWindow.GM_setClipboard = (text) => { error(`GM_setClipboard called, but bridge is not available.`); };
+             api.GM_setClipboard = (text) => { error(`GM_setClipboard called, but bridge is not available.`); };
          }
-    } else {
-        warn('GM_setClipboard already defined.');
-    }
 
-    // --- Notification API (Bridged/Partial) ---
+        // --- Notification API (Bridged) ---
+        // Accepts both GM_notification(details, ondone) and GM_notification(text, title, image, onclick)
+        const normalizeNotification = (detailsOrText, ondoneOrTitle, image, onclick) => {
+            if (typeof detailsOrText === 'string') {
+                return { text: detailsOrText, title: ondoneOrTitle, image, onclick };
+            }
+            const details = { ...(detailsOrText || {}) };
+            if (typeof ondoneOrTitle === 'function' && !details.ondone) {
+                details.ondone = ondoneOrTitle;
+            }
+            return details;
+        };
 
-    if (typeof GM_notification === 'undefined') {
          if (typeof GM_notification_bridge === 'function') {
-            log('Defining GM_notification');
-            // Basic bridge just logs, doesn't handle callbacks well
-            unsafeWindow.GM_notification = (details, ondone, onclick) => {
-                 const text = typeof details === 'string' ? details : details.text;
-                 const title = typeof details === 'string' ? 'Userscript Notification' : details.title;
-                 log(`GM_notification: title="${title}", text="${text}"`);
-                 try {
-                     // Call bridge, passing callbacks (though bridge might just ignore them)
-                     GM_notification_bridge(details, ondone, onclick);
-                 } catch (e) {
-                      error('GM_notification Error:', e);
+            api.GM_notification = (detailsOrText, ondoneOrTitle, image, onclick) => {
+                 const details = normalizeNotification(detailsOrText, ondoneOrTitle, image, onclick);
+                 const notificationId = ++notificationIdCounter;
+                 notificationMap.set(notificationId, { onclick: details.onclick, ondone: details.ondone });
+
+                 // Only the options cross the bridge; callbacks stay here and are called by __gmNotificationEvent
+                 const options = {};
+                 for (const key of ['title', 'text', 'image', 'tag', 'timeout', 'highlight', 'silent', 'url']) {
+                     if (details[key] != null) options[key] = details[key];
                  }
+                 if (!options.title) options.title = info.script.name; // Like Tampermonkey, default to the script name
+                 log(`GM_notification: id=${notificationId}, title="${options.title}", text="${options.text}"`);
+                 GM_notification_bridge(notificationId, options)
+                     .catch(e => error('GM_notification Error:', e));
             };
-            // scriptInfo.script.grants.push('GM_notification');
          } else {
              warn('GM_notification_bridge not found. GM_notification will be non-functional (console log only).');
              // Provide a console-logging fallback
-             unsafeWindow.GM_notification = (details, ondone) => {
-                 const text = typeof details === 'string' ? details : details.text;
-                 const title = typeof details === 'string' ? 'Userscript Notification' : details.title || 'Userscript Notification';
-                 warn(`GM_notification (Not Supported): Title="${title}", Text="${text}"`);
-                 if (ondone) {
-                     try { ondone(false); } catch(e) {} // Simulate not shown
+             api.GM_notification = (detailsOrText, ondoneOrTitle, image, onclick) => {
+                 const details = normalizeNotification(detailsOrText, ondoneOrTitle, image, onclick);
+                 warn(`GM_notification (Not Supported): Title="${details.title || info.script.name}", Text="${details.text}"`);
+                 if (details.ondone) {
+                     try { details.ondone(false); } catch(e) {} // Simulate not shown
                  }
              };
          }
-    } else {
-        warn('GM_notification already defined.');
-    }
 
-    // --- Menu Command API (Storing References) ---
+        // --- Menu Command API (Storing References) ---
 
-    if (typeof GM_registerMenuCommand === 'undefined') {
-        log('Defining GM_registerMenuCommand (Stores reference)');
-        unsafeWindow.GM_registerMenuCommand = (caption, commandFunc, accessKey) => {
+        api.GM_registerMenuCommand = (caption, commandFunc, accessKey) => {
             if (typeof caption !== 'string' || caption.length === 0) {
                 error('GM_registerMenuCommand: caption must be a non-empty string.');
                 return null; // Or throw? Let's return null for invalid input.
@@ -458,73 +683,233 @@
                 error(`GM_registerMenuCommand("${caption}"): commandFunc must be a function.`);
                 return null;
             }
-            if (unsafeWindow.__registeredMenuCommands.hasOwnProperty(caption)) {
+            const existing = window.__menuCommands.find(command => command.caption === caption && command.script === scriptName);
+            if (existing) {
                 warn(`GM_registerMenuCommand: Overwriting existing command with caption "${caption}".`);
+                existing.callback = commandFunc;
+            } else {
+                window.__menuCommands.push({ caption, script: scriptName, callback: commandFunc });
             }
-            unsafeWindow.__registeredMenuCommands[caption] = commandFunc;
             log(`Registered menu command: "${caption}"`);
             // Return the caption as the ID for simplicity in unregistering
             return caption;
         };
-        // scriptInfo.script.grants.push('GM_registerMenuCommand');
-    } else {
-        warn('GM_registerMenuCommand already defined.');
-    }
-
-     if (typeof GM_unregisterMenuCommand === 'undefined') {
-        log('Defining GM_unregisterMenuCommand (Uses stored reference)');
-        unsafeWindow.GM_unregisterMenuCommand = (caption) => { // Expecting caption as the ID
+
+        api.GM_unregisterMenuCommand = (caption) => { // Expecting caption as the ID
             if (typeof caption !== 'string' || caption.length === 0) {
                 error('GM_unregisterMenuCommand: caption (ID) must be a non-empty string.');
                 return;
             }
-            if (unsafeWindow.__registeredMenuCommands.hasOwnProperty(caption)) {
-                delete unsafeWindow.__registeredMenuCommands[caption];
+            const index = window.__menuCommands.findIndex(command => command.caption === caption && command.script === scriptName);
+            if (index !== -1) {
+                window.__menuCommands.splice(index, 1);
                 log(`Unregistered menu command: "${caption}"`);
             } else {
                 warn(`GM_unregisterMenuCommand: Command with caption "${caption}" not found.`);
             }
         };
-        // scriptInfo.script.grants.push('GM_unregisterMenuCommand');
-    } else {
-        warn('GM_unregisterMenuCommand already defined.');
-    }
-
-    // --- @downloadURL, @updateURL, @supportURL ---
-    // These are metadata keys, not runtime APIs. GM_info exposes them if present.
-
-    // --- GM_log (Deprecated) ---
-    // Typically just maps to console.log
-    if (typeof GM_log === 'undefined') {
-        log('Defining deprecated GM_log (maps to console.log)');
-        unsafeWindow.GM_log = console.log;
-        // scriptInfo.script.grants.push('GM_log');
-    } else {
-        warn('GM_log already defined.');
-    }
-
-    // --- GM_addValueChangeListener (Requires complex bridging or alternative) ---
-    if (typeof GM_addValueChangeListener === 'undefined') {
-        warn('Defining GM_addValueChangeListener (Not Supported)');
-        unsafeWindow.GM_addValueChangeListener = (key, listener) => {
-             warn(`GM_addValueChangeListener for key "${key}" called, but this API is not supported in the Playwright environment.`);
-             // Return a dummy ID
-             return -1;
+
+        // --- @downloadURL, @updateURL, @supportURL ---
+        // These are metadata keys, not runtime APIs. GM_info exposes them if present.
+
+        // --- GM_log (Deprecated) ---
+        // Typically just maps to console.log
+        api.GM_log = console.log;
+
+        // --- GM_addValueChangeListener ---
+        // Listeners live in the script's value store. Changes from this page fire them directly;
+        // changes from other tabs or other runs arrive through window.__gmStorageChanged with remote=true.
+        api.GM_addValueChangeListener = (key, listener) => {
+            if (typeof key !== 'string' || key.length === 0) {
+                error('GM_addValueChangeListener: key must be a non-empty string.');
+                return null;
+            }
+            if (typeof listener !== 'function') {
+                error(`GM_addValueChangeListener("${key}"): listener must be a function.`);
+                return null;
+            }
+            const listenerId = ++listenerIdCounter;
+            store.listeners.set(listenerId, { key, callback: listener });
+            log(`Added value change listener ${listenerId} for key "${key}"`);
+            return listenerId;
+        };
+
+        api.GM_removeValueChangeListener = (listenerId) => {
+            if (store.listeners.delete(listenerId)) {
+                log(`Removed value change listener ${listenerId}`);
+            } else {
+                warn(`GM_removeValueChangeListener: Listener ${listenerId} not found.`);
+            }
         };
-        // scriptInfo.script.grants.push('GM_addValueChangeListener');
-    } else {
-        warn('GM_addValueChangeListener already defined.');
-    }
-
-     if (typeof GM_removeValueChangeListener === 'undefined') {
-        warn('Defining GM_removeValueChangeListener (Not Supported)');
-        unsafeWindow.GM_removeValueChangeListener = (listenerId) => {
-             warn(`GM_removeValueChangeListener(${listenerId}) called, but this API is not supported.`);
+
+        // --- GM.* (Greasemonkey 4 / Violentmonkey) Promise-based API ---
+        // Built on the same bridge-backed functions as GM_*. Members are keyed as 'GM.name' here so
+        // grant enforcement can treat them like any other API; they are grouped into the GM object below.
+
+        api['GM.getValue'] = (key, defaultValue) => getValueAsync(key, defaultValue);
+        api['GM.setValue'] = (key, value) => api.GM_setValue(key, value); // Also updates the value store
+        api['GM.deleteValue'] = (key) => api.GM_deleteValue(key);
+        api['GM.listValues'] = () => listValuesAsync();
+
+        api['GM.getResourceUrl'] = async (name) => {
+            const url = api.GM_getResourceURL(name);
+            if (url === null) {
+                throw new Error(`GM.getResourceUrl: resource "${name}" not found.`);
+            }
+            return url;
         };
-        // scriptInfo.script.grants.push('GM_removeValueChangeListener');
-    } else {
-        warn('GM_removeValueChangeListener already defined.');
-    }
+
+        api['GM.getResourceText'] = async (name) => {
+            const text = api.GM_getResourceText(name);
+            if (text === null) {
+                throw new Error(`GM.getResourceText: resource "${name}" not found.`);
+            }
+            return text;
+        };
+
+        // Resolves with the response on load and rejects with it on error, timeout or abort.
+        // The details callbacks still fire, and the returned promise carries an abort() method.
+        api['GM.xmlHttpRequest'] = (details) => {
+            let handle = null;
+            const promise = new Promise((resolve, reject) => {
+                const settle = (eventName, done) => (response) => {
+                    if (typeof details[eventName] === 'function') {
+                        try {
+                            details[eventName](response);
+                        } catch (cbError) {
+                            error(`Error executing GM.xmlHttpRequest ${eventName} callback:`, cbError);
+                        }
+                    }
+                    done(response);
+                };
+                handle = api.GM_xmlhttpRequest({
+                    ...details,
+                    onload: settle('onload', resolve),
+                    onerror: settle('onerror', reject),
+                    ontimeout: settle('ontimeout', reject),
+                    onabort: settle('onabort', reject),
+                });
+            });
+            promise.abort = () => handle?.abort();
+            return promise;
+        };
+
+        // Resolves once the file is saved and rejects on error, timeout or abort, like Tampermonkey's GM.download
+        api['GM.download'] = (detailsOrUrl, name) => {
+            const details = typeof detailsOrUrl === 'string' ? { url: detailsOrUrl, name } : { ...(detailsOrUrl || {}) };
+            let handle = null;
+            const promise = new Promise((resolve, reject) => {
+                const settle = (eventName, done) => (result) => {
+                    if (typeof details[eventName] === 'function') {
+                        try {
+                            details[eventName](result);
+                        } catch (cbError) {
+                            error(`Error executing GM.download ${eventName} callback:`, cbError);
+                        }
+                    }
+                    done(result);
+                };
+                handle = api.GM_download({
+                    ...details,
+                    onload: settle('onload', resolve),
+                    onerror: settle('onerror', reject),
+                    ontimeout: settle('ontimeout', reject),
+                    onabort: settle('onabort', reject),
+                });
+            });
+            promise.abort = () => handle?.abort();
+            return promise;
+        };
+
+        // Accepts both the GM4 (text, title, image, onclick) form and a details object
+        api['GM.notification'] = async (textOrDetails, title, image, onclick) => {
+            api.GM_notification(textOrDetails, title, image, onclick);
+        };
+
+        api['GM.openInTab'] = (url, openInBackground) => api.GM_openInTab(url, openInBackground);
+        api['GM.setClipboard'] = async (data, type) => { api.GM_setClipboard(data, type); };
+        api['GM.addStyle'] = async (css) => api.GM_addStyle(css);
+        api['GM.registerMenuCommand'] = (caption, commandFunc, accessKey) => api.GM_registerMenuCommand(caption, commandFunc, accessKey);
+        api['GM.unregisterMenuCommand'] = async (caption) => { api.GM_unregisterMenuCommand(caption); };
+        api['GM.addValueChangeListener'] = async (key, listener) => api.GM_addValueChangeListener(key, listener);
+        api['GM.removeValueChangeListener'] = async (listenerId) => { api.GM_removeValueChangeListener(listenerId); };
+        api['GM.log'] = api.GM_log;
+
+        return api;
+    };
+
+    // --- URL Change Events (window.onurlchange) ---
+    // Like Tampermonkey, fires a 'urlchange' event on window (with the new URL in event.url) when a
+    // single-page app changes the URL without loading a new document: history.pushState/replaceState,
+    // back/forward and hash changes. The hooks are installed the first time a script grants
+    // window.onurlchange, so scripts can feature-detect with `if (window.onurlchange === null)`.
+    let urlChangeHooksInstalled = false;
+    let lastUrl = location.href;
+
+    const notifyUrlChange = () => {
+        if (location.href === lastUrl) return;
+        lastUrl = location.href;
+        const event = new Event('urlchange');
+        event.url = lastUrl;
+        // window.onurlchange isn't a native event handler property, so dispatchEvent won't call it
+        if (typeof window.onurlchange === 'function') {
+            try {
+                window.onurlchange(event);
+            } catch (e) {
+                error('Error in window.onurlchange handler:', e);
+            }
+        }
+        window.dispatchEvent(event);
+    };
+
+    const installUrlChangeHooks = () => {
+        if (urlChangeHooksInstalled) return;
+        urlChangeHooksInstalled = true;
+        lastUrl = location.href;
+        if (window.onurlchange === undefined) {
+            window.onurlchange = null;
+        }
+        for (const method of ['pushState', 'replaceState']) {
+            const original = history[method];
+            history[method] = function (...args) {
+                const result = original.apply(this, args);
+                notifyUrlChange();
+                return result;
+            };
+        }
+        window.addEventListener('popstate', notifyUrlChange);
+        window.addEventListener('hashchange', notifyUrlChange);
+    };
+
+    // --- Grant Enforcement ---
+    // The GM_* functions and the GM object are never put on window. Instead the script wrapper calls this with the
+    // script's GM_info and passes the result into the script's scope, so each script only sees
+    // the APIs it declared with @grant (none at all for @grant none or no @grant lines).
+    // The runner locks this factory away behind a per-run key right after the polyfill loads (see
+    // script-wrapper.js), so page scripts can't call it to get around @grant.
+    window.__gmCreateScriptApi = (info, context = {}) => {
+        const grants = new Set(info.script.grant || []);
+        const api = createApi(info, context);
+        const scopedApi = {};
+
+        // GM.info is always available, like GM_info
+        scopedApi.GM = { info };
+
+        if (grants.has('window.onurlchange')) {
+            installUrlChangeHooks();
+        }
+
+        // Ungranted APIs are left out entirely, so `typeof GM_xmlhttpRequest` is 'undefined' without the grant
+        for (const [name, implementation] of Object.entries(api)) {
+            if (!grants.has(name)) continue;
+            if (name.startsWith('GM.')) {
+                scopedApi.GM[name.slice(3)] = implementation;
+            } else {
+                scopedApi[name] = implementation;
+            }
+        }
+        return scopedApi;
+    };
 
 
     log('GM API Polyfill loaded.');
@@ -0,0 +1,211 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { fileURLToPath } = require('url');
+const { logger } = require('./logger');
+
+/**
+ * Splits a @require/@resource URL into the URL itself and any integrity hashes
+ * given in its fragment, e.g. `https://cdn/x.js#sha256=abc...,md5=def...`.
+ * Both the Tampermonkey `algo=digest` and the SRI `algo-digest` forms are accepted.
+ * @param {string} spec - The URL or path as written in the metadata block.
+ * @returns {{ url: string, hashes: Array<{ algorithm: string, digest: string }> }}
+ */
+function parseIntegrity(spec) {
+    const hashIndex = spec.indexOf('#');
+    if (hashIndex === -1) {
+        return { url: spec, hashes: [] };
+    }
+
+    const url = spec.slice(0, hashIndex);
+    const hashes = [];
+    for (const part of spec.slice(hashIndex + 1).split(/[,;]/)) {
+        const hashMatch = part.trim().match(/^(md5|sha1|sha256|sha384|sha512)[=-](.+)$/i);
+        if (hashMatch) {
+            hashes.push({ algorithm: hashMatch[1].toLowerCase(), digest: hashMatch[2] });
+        }
+    }
+    return { url, hashes };
+}
+
+/**
+ * Checks content against integrity hashes. Digests may be hex or base64 encoded.
+ * @param {Buffer} content - The downloaded or local content.
+ * @param {Array<{ algorithm: string, digest: string }>} hashes - Hashes from parseIntegrity.
+ * @returns {string | null} - A description of the first mismatch, or null if all hashes match.
+ */
+function findIntegrityMismatch(content, hashes) {
+    for (const { algorithm, digest } of hashes) {
+        const hash = crypto.createHash(algorithm).update(content);
+        const actual = hash.digest();
+        if (actual.toString('hex') !== digest.toLowerCase() && actual.toString('base64') !== digest) {
+            return `${algorithm} mismatch (expected ${digest}, got ${actual.toString('hex')})`;
+        }
+    }
+    return null;
+}
+
+// MIME types for common @resource file extensions, used when no Content-Type is available
+const MIME_TYPES = {
+    '.css': 'text/css',
+    '.js': 'text/javascript',
+    '.json': 'application/json',
+    '.html': 'text/html',
+    '.htm': 'text/html',
+    '.txt': 'text/plain',
+    '.xml': 'application/xml',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.ico': 'image/x-icon',
+    '.woff': 'font/woff',
+    '.woff2': 'font/woff2',
+    '.ttf': 'font/ttf',
+};
+
+/**
+ * Guesses a MIME type from the file extension of a URL or path.
+ * @param {string} url - The URL or path.
+ * @returns {string} - The MIME type, or 'application/octet-stream' if unknown.
+ */
+function guessMimeType(url) {
+    const pathname = url.replace(/[?#].*$/, '');
+    return MIME_TYPES[path.extname(pathname).toLowerCase()] || 'application/octet-stream';
+}
+
+/**
+ * Returns the cache file paths for a remote URL.
+ * @param {string} url - The remote URL (without integrity fragment).
+ * @param {string} cacheDir - The cache directory.
+ * @returns {{ bodyPath: string, metaPath: string }}
+ */
+function getCachePaths(url, cacheDir) {
+    const key = crypto.createHash('sha256').update(url).digest('hex');
+    return {
+        bodyPath: path.join(cacheDir, key),
+        metaPath: path.join(cacheDir, `${key}.json`),
+    };
+}
+
+/**
+ * Reads a remote URL from the on-disk cache.
+ * @param {string} url - The remote URL.
+ * @param {string} cacheDir - The cache directory.
+ * @returns {Promise<{ content: Buffer, contentType: string } | null>} - Cached entry, or null on a cache miss.
+ */
+async function readFromCache(url, cacheDir) {
+    const { bodyPath, metaPath } = getCachePaths(url, cacheDir);
+    try {
+        const [content, meta] = await Promise.all([
+            fs.readFile(bodyPath),
+            fs.readFile(metaPath, 'utf8'),
+        ]);
+        return { content, contentType: JSON.parse(meta).contentType || '' };
+    } catch (err) {
+        if (err.code !== 'ENOENT') {
+            logger.warn(`Error reading cache entry for "${url}". Ignoring cache:`, err.message);
+        }
+        return null;
+    }
+}
+
+/**
+ * Downloads a remote URL.
+ * @param {string} url - The remote URL.
+ * @returns {Promise<{ content: Buffer, contentType: string }>}
+ * @throws {Error} - On network errors and non-OK responses.
+ */
+async function downloadDependency(url) {
+    logger.log(`Downloading dependency: ${url}`);
+    const response = await fetch(url, { redirect: 'follow' });
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status} ${response.statusText} while downloading "${url}"`);
+    }
+    return {
+        content: Buffer.from(await response.arrayBuffer()),
+        contentType: response.headers.get('content-type') || '',
+    };
+}
+
+/**
+ * Stores a downloaded URL in the on-disk cache. Only verified content should be written,
+ * so a bad download never replaces a cache entry.
+ * @param {string} url - The remote URL.
+ * @param {{ content: Buffer, contentType: string }} entry - The downloaded content.
+ * @param {string} cacheDir - The cache directory.
+ * @returns {Promise<void>}
+ */
+async function writeToCache(url, { content, contentType }, cacheDir) {
+    const { bodyPath, metaPath } = getCachePaths(url, cacheDir);
+    try {
+        await fs.mkdir(cacheDir, { recursive: true });
+        await fs.writeFile(bodyPath, content);
+        await fs.writeFile(metaPath, JSON.stringify({ url, contentType, fetchedAt: new Date().toISOString() }, null, 2), 'utf8');
+    } catch (err) {
+        // A failed cache write shouldn't fail the script; the next run will just download again
+        logger.warn(`Error writing cache entry for "${url}":`, err.message);
+    }
+}
+
+/**
+ * Loads a @require or @resource dependency.
+ * Remote (http/https) URLs are served from the on-disk cache when present and downloaded otherwise,
+ * so later runs work offline. Relative paths and file:// URLs are read from disk, relative to the
+ * directory of the userscript that declared them.
+ * @param {string} spec - The URL or path, optionally followed by an integrity fragment.
+ * @param {object} options
+ * @param {string} options.baseDir - Directory relative paths are resolved against.
+ * @param {string} options.cacheDir - Directory holding cached remote dependencies.
+ * @returns {Promise<{ url: string, content: Buffer, contentType: string }>}
+ * @throws {Error} - If the dependency cannot be loaded or fails its integrity check.
+ */
+async function loadDependency(spec, { baseDir, cacheDir }) {
+    const { url, hashes } = parseIntegrity(spec);
+
+    if (/^https?:\/\//i.test(url)) {
+        const cached = await readFromCache(url, cacheDir);
+        const cachedMismatch = cached ? findIntegrityMismatch(cached.content, hashes) : null;
+        if (cached && !cachedMismatch) {
+            return { url, ...cached };
+        }
+        if (cachedMismatch) {
+            // The cached copy may predate a hash change in the script; try a fresh download once
+            logger.warn(`Cached copy of "${url}" fails its integrity check. Downloading again.`);
+        }
+
+        let entry;
+        try {
+            entry = await downloadDependency(url);
+        } catch (downloadError) {
+            if (!cachedMismatch) throw downloadError;
+            // The integrity failure is the real problem; the download was only a second chance
+            throw new Error(`Integrity check failed for "${url}": ${cachedMismatch} (downloading it again failed: ${downloadError.message})`);
+        }
+        const mismatch = findIntegrityMismatch(entry.content, hashes);
+        if (mismatch) {
+            throw new Error(`Integrity check failed for "${url}": ${mismatch}`);
+        }
+        await writeToCache(url, entry, cacheDir); // Verified, so it may replace the cached copy
+        return { url, ...entry };
+    }
+
+    const filePath = /^file:\/\//i.test(url) ? fileURLToPath(url) : path.resolve(baseDir, url);
+    const content = await fs.readFile(filePath);
+    const mismatch = findIntegrityMismatch(content, hashes);
+    if (mismatch) {
+        throw new Error(`Integrity check failed for "${filePath}": ${mismatch}`);
+    }
+    return { url, content, contentType: '' };
+}
+
+
+module.exports = {
+    loadDependency,
+    guessMimeType,
+    // Internal helpers not exported by default
+    // parseIntegrity,
+    // findIntegrityMismatch
+};
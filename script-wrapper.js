@@ -0,0 +1,215 @@
+const crypto = require('crypto');
+
+// Identifies this runner in GM_info, like Tampermonkey/Violentmonkey identify themselves
+const SCRIPT_HANDLER = 'Playwright GM Polyfill';
+const SCRIPT_HANDLER_VERSION = '1.3';
+
+// Every API name the polyfill provides. Each one is declared in the script's scope;
+// APIs the script didn't @grant stay undefined (see gm-api-polyfill.js), and the wrapper warns about
+// the ones its source uses anyway (see findUngrantedApis).
+// 'GM' is the Greasemonkey 4 namespace object, whose members are granted individually (@grant GM.getValue).
+const GM_API_NAMES = [
+    'GM',
+    'GM_setValue',
+    'GM_getValue',
+    'GM_deleteValue',
+    'GM_listValues',
+    'GM_getResourceText',
+    'GM_getResourceURL',
+    'GM_addStyle',
+    'GM_xmlhttpRequest',
+    'GM_download',
+    'GM_openInTab',
+    'GM_setClipboard',
+    'GM_notification',
+    'GM_registerMenuCommand',
+    'GM_unregisterMenuCommand',
+    'GM_log',
+    'GM_addValueChangeListener',
+    'GM_removeValueChangeListener',
+];
+
+// Browser-side counterpart of scriptMatchesUrl, for scripts that check the document URL themselves.
+// Like urlMatches/urlMatchesIncludes, @match rules ignore the hash and @include rules see the full URL.
+const URL_CHECK_SOURCE = `function (rules, href) {
+    let url;
+    try {
+        url = new URL(href);
+    } catch (e) {
+        return false;
+    }
+    if (!['http:', 'https:', 'file:'].includes(url.protocol)) return false;
+    const withoutHash = url.protocol === 'file:'
+        ? 'file://' + url.pathname + url.search
+        : url.origin + url.pathname + url.search;
+    const test = (list, value) => list.some(({ source, flags }) => new RegExp(source, flags).test(value));
+    if (test(rules.excludeMatches, withoutHash) || test(rules.excludes, url.href)) return false;
+    return test(rules.matches, withoutHash) || test(rules.includes, url.href);
+}`;
+
+// Marks a document-start script as started in this document and tells the runner, which logs it as injected.
+// Returns false if it already was.
+const MARK_STARTED_SOURCE = `function (marker, bridgeToken) {
+    if (Object.prototype.hasOwnProperty.call(window, marker)) return false;
+    Object.defineProperty(window, marker, { value: true });
+    if (typeof window.gmDocumentEventBridge === 'function') {
+        window.gmDocumentEventBridge('document-start', bridgeToken).catch(() => {}); // Rejects if the document goes away first
+    }
+    return true;
+}`;
+
+/**
+ * Names the window property that marks a document-start script as started. It is derived from the script's
+ * per-run bridge token, so a page can't define it in advance to keep the script from running, and hashed,
+ * as the page can list window properties once the script has started.
+ * @param {object} script - A script object as returned by loadUserscripts.
+ * @param {string} [bridgeToken] - The script's bridge token.
+ * @returns {string}
+ */
+function startedMarker(script, bridgeToken) {
+    const hash = crypto.createHash('sha256').update(`${script.storageId}\n${bridgeToken ?? ''}`).digest('hex');
+    return `__gmStarted:${hash}`;
+}
+
+/**
+ * Finds the GM APIs a script's source uses without granting them, e.g. GM_setValue without
+ * `@grant GM_setValue` or GM.getValue without `@grant GM.getValue`. GM_info and GM.info need no grant.
+ * Only the script body is searched, as @require libraries often check for APIs they may not get.
+ * @param {object} script - A script object as returned by loadUserscripts.
+ * @returns {string[]} - The ungranted API names, in order of first use.
+ */
+function findUngrantedApis(script) {
+    const grants = new Set(script.metadata.grant || []);
+    const used = (script.content.match(/\bGM(?:_\w+|\.\w+)/g) || [])
+        .filter(name => GM_API_NAMES.includes(name) || (name.startsWith('GM.') && name !== 'GM.info'));
+    return [...new Set(used)].filter(name => !grants.has(name));
+}
+
+/**
+ * Builds the GM_info object for a script from its parsed metadata.
+ * Follows the shape used by Tampermonkey/Violentmonkey: script details under `script`,
+ * the raw metadata block in `scriptMetaStr`, and details about the manager at the top level.
+ * @param {object} script - A script object as returned by loadUserscripts.
+ * @returns {object} - The GM_info object.
+ */
+function buildScriptInfo(script) {
+    const { metadata } = script;
+    const first = (key, fallback = '') => metadata[key]?.[0] ?? fallback;
+
+    return {
+        script: {
+            name: script.name,
+            namespace: first('namespace'),
+            description: first('description'),
+            version: first('version'),
+            author: first('author'),
+            homepage: first('homepage') || first('homepageURL'),
+            icon: first('icon') || first('iconURL'),
+            supportURL: first('supportURL'),
+            updateURL: first('updateURL'),
+            downloadURL: first('downloadURL'),
+            grant: metadata.grant || [],
+            matches: script.matchPatterns,
+            includes: script.includePatterns,
+            excludes: script.excludePatterns,
+            'exclude-match': script.excludeMatchPatterns,
+            'run-at': script.runAt,
+            noframes: Boolean(script.noframes),
+            connects: script.connects || [],
+            requires: (script.requires || []).map(req => req.url),
+            resources: Object.entries(script.resources || {}).map(([name, resource]) => ({
+                name,
+                url: resource.url,
+                mimetype: resource.mimeType,
+            })),
+        },
+        scriptMetaStr: metadata.metaStr || '',
+        scriptHandler: SCRIPT_HANDLER,
+        version: SCRIPT_HANDLER_VERSION,
+        injectInto: 'page', // Playwright injects into page context
+    };
+}
+
+/**
+ * Wraps a userscript in its own function scope for injection.
+ * The wrapper provides a per-script GM_info and the GM_* functions granted by the script's
+ * @grant lines, then runs the @require dependencies and the script body in order.
+ * The API object is built in a separate function whose result is passed in as arguments,
+ * so the script can't reach the ungranted implementations through the closure.
+ * A sourceURL comment names the script in stack traces and DevTools.
+ * @param {object} script - A script object as returned by loadUserscripts.
+ * @param {object} [options]
+ * @param {object} [options.values] - Snapshot of the script's stored values, for synchronous GM_getValue.
+ * @param {object} [options.matchRules] - Rules from getMatchRules. When given, the script only runs if the
+ *   document's URL matches them (and, for @noframes scripts, if it is the top-level document);
+ *   used for scripts registered before the URL and frame are known. Such a script also runs at most once per
+ *   document, as it is briefly registered twice while the runner replaces its value snapshot.
+ * @param {string} [options.apiKey] - The key passed to lockScriptApiFactory.
+ * @param {string} [options.bridgeToken] - The script's secret for bridges that need to know which script calls
+ *   them, like GM_xmlhttpRequest for its @connect rules, or gmDocumentEventBridge when a matchRules script starts.
+ * @returns {string} - The JavaScript source to inject.
+ */
+function wrapUserscript(script, options = {}) {
+    const info = buildScriptInfo(script);
+    // The ';' guards against a require that doesn't end its last statement
+    const requireSources = (script.requires || []).map(req => `${req.content}\n;`);
+    const sourceName = encodeURIComponent(script.name);
+
+    const conditions = options.matchRules ? [
+        ...(script.noframes ? ['window.top === window'] : []),
+        `(${URL_CHECK_SOURCE})(${JSON.stringify(options.matchRules)}, location.href)`,
+        `(${MARK_STARTED_SOURCE})(${JSON.stringify(startedMarker(script, options.bridgeToken))}, ${JSON.stringify(options.bridgeToken ?? null)})`, // Last, so only runs count
+    ] : [];
+
+    // GM_info, unsafeWindow and the APIs are parameters rather than consts so a script may
+    // still redeclare them with `var` without a SyntaxError.
+    return [
+        ...(conditions.length > 0 ? [`if (${conditions.join(' && ')})`] : []),
+        `(function (GM_info, unsafeWindow, ${GM_API_NAMES.join(', ')}) {`,
+        ...requireSources,
+        script.content,
+        '\n}).apply(window, (function (info, context, apiNames, apiKey, ungranted) {',
+        '    let api = {};',
+        "    if (typeof window.__gmCreateScriptApi === 'function') {",
+        '        api = window.__gmCreateScriptApi(apiKey, info, context) || {};',
+        '        for (const name of ungranted) {',
+        '            console.warn(`[GM Polyfill] Script "${info.script.name}" uses ${name} without "@grant ${name}", so it is undefined. Add the grant to the metadata block.`);',
+        '        }',
+        '    } else {',
+        '        console.warn(`[GM Polyfill] Polyfill not loaded. GM APIs are unavailable to "${info.script.name}".`);',
+        '    }',
+        '    return [info, window, ...apiNames.map(name => api[name])];',
+        `})(${JSON.stringify(info)}, ${JSON.stringify({ resources: script.resources || {}, values: options.values || {}, storageId: script.storageId, bridgeToken: options.bridgeToken ?? null })}, ${JSON.stringify(GM_API_NAMES)}, ${JSON.stringify(options.apiKey ?? null)}, ${JSON.stringify(findUngrantedApis(script))}));`,
+        `//# sourceURL=userscript:///${sourceName}.user.js`,
+    ].join('\n');
+}
+
+/**
+ * Builds the init script that runs right after the polyfill and replaces its window.__gmCreateScriptApi
+ * with a locked version that only hands out APIs when called with the given key. The key only appears
+ * in the wrapped userscripts' source, so page scripts can't get around @grant and @connect by calling
+ * the factory themselves, and can't replace the locked version either.
+ * @param {string} apiKey - A random key, new for every run.
+ * @returns {string} - The JavaScript source to inject.
+ */
+function lockScriptApiFactory(apiKey) {
+    return `(function (apiKey) {
+    const createScriptApi = window.__gmCreateScriptApi;
+    delete window.__gmCreateScriptApi;
+    if (typeof createScriptApi !== 'function') return; // No polyfill loaded
+    Object.defineProperty(window, '__gmCreateScriptApi', {
+        value: (key, info, context) => (key === apiKey ? createScriptApi(info, context) : null),
+    });
+})(${JSON.stringify(apiKey)});`;
+}
+
+
+module.exports = {
+    GM_API_NAMES,
+    buildScriptInfo,
+    wrapUserscript,
+    lockScriptApiFactory,
+    // Internal helpers not exported by default
+    // findUngrantedApis,
+    // startedMarker
+};
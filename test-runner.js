@@ -0,0 +1,384 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { spawn } = require('child_process');
+const { pathToFileURL } = require('url');
+const tmp = require('tmp');
+const { parseMetadata, getStorageId } = require('./userscript-runner');
+const { normalizeAssertion } = require('./assertions');
+const { logger, logToStderr } = require('./logger');
+
+const REPORTERS = ['tap', 'junit'];
+
+// foo.user.js is tested by foo.spec.json in the same directory
+const SPEC_SUFFIX = '.spec.json';
+
+// Extra time a test run gets on top of its assertion and menu command timeouts before it is stopped
+const RUN_TIME_MARGIN = 60000;
+
+// Time a stopped run gets to close its browser after SIGTERM before it is killed
+const STOP_GRACE_PERIOD = 10000;
+
+/**
+ * Validates a test from a spec file and fills in its defaults.
+ * @param {object} test - A test as written in the spec, see the README.
+ * @param {string} origin - Where the test came from, for error messages.
+ * @param {string} baseDir - Directory that relative html and xhrFixtures paths are resolved against.
+ * @returns {object} - The normalized test.
+ * @throws {Error} - If the test is invalid.
+ */
+function normalizeTest(test, origin, baseDir) {
+    if (!test || typeof test !== 'object') {
+        throw new Error(`Test ${origin} must be an object.`);
+    }
+    if (test.url === undefined && test.html === undefined) {
+        throw new Error(`Test ${origin} needs a url or an html fixture.`);
+    }
+    let url = null;
+    if (test.url !== undefined) {
+        try {
+            url = new URL(String(test.url)).href; // Normalized, so the html fixture is served for what the browser requests
+        } catch (e) {
+            throw new Error(`Test ${origin} has an invalid url "${test.url}".`);
+        }
+    }
+    if (test.storage !== undefined && (!test.storage || typeof test.storage !== 'object' || Array.isArray(test.storage))) {
+        throw new Error(`Test ${origin}: storage must be an object of GM values.`);
+    }
+    if (test.steps !== undefined && !(Array.isArray(test.steps) && test.steps.every(step => typeof step === 'string'))) {
+        throw new Error(`Test ${origin}: steps must be an array of menu command captions and wait steps.`);
+    }
+    const timeout = test.timeout === undefined ? 5000 : Number(test.timeout);
+    if (!Number.isFinite(timeout) || timeout < 0) {
+        throw new Error(`Test ${origin} has an invalid timeout "${test.timeout}".`);
+    }
+    const assertions = test.assertions || [];
+    if (!Array.isArray(assertions) || assertions.length === 0) {
+        throw new Error(`Test ${origin} has no assertions.`);
+    }
+    assertions.forEach((assertion, index) => normalizeAssertion(assertion, `#${index + 1} of test ${origin}`)); // Fail before starting a browser
+
+    return {
+        name: test.name ? String(test.name) : null,
+        url,
+        html: test.html === undefined ? null : path.resolve(baseDir, String(test.html)),
+        storage: test.storage || {},
+        steps: test.steps || [],
+        xhrFixtures: test.xhrFixtures === undefined ? null : path.resolve(baseDir, String(test.xhrFixtures)),
+        timeout,
+        assertions,
+        origin,
+    };
+}
+
+/**
+ * Loads the tests of a spec file: one test, an array of tests, or an object with a `tests` array.
+ * @param {string} file - Path to the spec file.
+ * @returns {Promise<object[]>} - Normalized tests.
+ * @throws {Error} - If the file can't be read or a test is invalid.
+ */
+async function loadSpec(file) {
+    let data;
+    try {
+        data = JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (err) {
+        throw new Error(`Error reading spec file "${file}": ${err.message}`);
+    }
+    const tests = Array.isArray(data) ? data : Array.isArray(data?.tests) ? data.tests : [data];
+    const normalized = tests.map((test, index) => normalizeTest(test, `#${index + 1} in "${file}"`, path.dirname(file)));
+    normalized.forEach((test, index) => {
+        test.name = test.name || (tests.length === 1 ? 'default' : `test ${index + 1}`);
+    });
+    return normalized;
+}
+
+// Escapes text for a regular expression, so a URL can be matched exactly by a network rule
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+
+/**
+ * Runs one test in its own runner process, with a fresh storage file and downloads directory.
+ * @param {object} test - A normalized test.
+ * @param {object} script - The script under test: { file, dir, storageId }.
+ * @param {string} workDir - Temporary directory for this test's files.
+ * @param {object} options - See runTestSuite.
+ * @returns {Promise<{ results: object[] | null, error: string | null, log: string, time: number }>}
+ */
+async function runTest(test, script, workDir, options) {
+    const storagePath = path.join(workDir, 'gm_values.json');
+    const assertionsPath = path.join(workDir, 'assertions.json');
+    const reportPath = path.join(workDir, 'report.json');
+    await fs.writeFile(storagePath, JSON.stringify({ formatVersion: options.storageFormatVersion, scripts: { [script.storageId]: test.storage } }, null, 2), 'utf8');
+    await fs.writeFile(assertionsPath, JSON.stringify(test.assertions, null, 2), 'utf8');
+
+    const args = [
+        path.join(__dirname, 'main.js'),
+        '--url', test.url || pathToFileURL(test.html).href,
+        '--dir', script.dir,
+        '--script', script.file,
+        '--storage-path', storagePath,
+        '--downloads-dir', path.join(workDir, 'downloads'),
+        '--assertions', assertionsPath,
+        '--assertions-report', reportPath,
+        '--assertion-timeout', String(test.timeout),
+        '--browser', options.browser,
+        options.headless ? '--headless' : '--no-headless',
+        '--polyfill', options.polyfillPath,
+        '--cache-dir', options.cacheDir,
+        '--connect-mode', options.connectMode,
+        '--menu-command-timeout', String(options.menuCommandTimeout),
+        ...test.steps.flatMap(step => ['--run-menu-command', step]),
+    ];
+    if (test.url && test.html) {
+        // Serve the fixture in place of the real page, so @match rules see the real URL
+        const rulesPath = path.join(workDir, 'network-rules.json');
+        const rules = [{ url: `/^${escapeRegExp(test.url)}$/`, resourceType: 'document', action: 'mock', file: test.html, contentType: 'text/html' }];
+        await fs.writeFile(rulesPath, JSON.stringify(rules, null, 2), 'utf8');
+        args.push('--network-rules', rulesPath);
+    }
+    if (test.xhrFixtures) {
+        args.push('--xhr-fixtures', test.xhrFixtures);
+    }
+    if (options.logFile) {
+        args.push('--log-file', options.logFile); // Runs append to the same event log, one after another
+    }
+
+    const startedAt = Date.now();
+    const runTimeLimit = test.timeout + options.menuCommandTimeout * test.steps.length + RUN_TIME_MARGIN;
+    const { exitCode, log, timedOut } = await new Promise((resolve) => {
+        const child = spawn(process.execPath, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+        let output = '';
+        let killed = false;
+        let killTimer = null;
+        child.stdout.on('data', chunk => { output += chunk; });
+        child.stderr.on('data', chunk => { output += chunk; });
+        const timer = setTimeout(() => {
+            killed = true;
+            // Playwright closes the browser on SIGTERM and the run then ends; SIGKILL would leave the browser running
+            child.kill('SIGTERM');
+            killTimer = setTimeout(() => child.kill('SIGKILL'), STOP_GRACE_PERIOD);
+        }, runTimeLimit);
+        child.on('error', (spawnError) => {
+            output += `${spawnError.message}\n`;
+        });
+        child.on('close', (code) => {
+            clearTimeout(timer);
+            clearTimeout(killTimer);
+            resolve({ exitCode: code, log: output, timedOut: killed });
+        });
+    });
+    const time = Date.now() - startedAt;
+
+    let report = null;
+    try {
+        report = JSON.parse(await fs.readFile(reportPath, 'utf8'));
+    } catch (readError) {
+        // No report: the run didn't get as far as the assertions
+    }
+    if (timedOut) {
+        return { results: report?.results || null, error: `Run did not finish within ${runTimeLimit} ms and was stopped.`, log, time };
+    }
+    if (!report || (!report.results && !report.error)) {
+        return { results: null, error: `Runner exited with code ${exitCode} before checking assertions.`, log, time };
+    }
+    if (exitCode !== 0 && !report.error && report.results.every(result => result.passed)) {
+        // Failed assertions explain the exit code; otherwise something else failed the run, like an unmatched
+        // request with --xhr-unmatched fail or an error after the assertions were checked
+        return { results: report.results, error: `Runner exited with code ${exitCode} although all assertions passed.`, log, time };
+    }
+    return { results: report.results, error: report.error, log, time };
+}
+
+/**
+ * Finds the userscripts in a directory and the spec files next to them.
+ * @param {string} dir - The userscripts directory.
+ * @returns {Promise<Array<{ file: string, specPath: string | null }>>} - Every *.user.js file, in name order.
+ */
+async function findSpecs(dir) {
+    const files = (await fs.readdir(dir)).filter(file => file.endsWith('.user.js')).sort();
+    return Promise.all(files.map(async (file) => {
+        const specPath = path.join(dir, `${file.slice(0, -'.user.js'.length)}${SPEC_SUFFIX}`);
+        const hasSpec = await fs.access(specPath).then(() => true, () => false);
+        return { file, specPath: hasSpec ? specPath : null };
+    }));
+}
+
+// Characters XML 1.0 doesn't allow, such as the escape codes of colored log output
+const escapeXml = (text) => String(text)
+    .replace(/[\x00-\x08\x0b\x0c\x0e-\x1f]/g, '')
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+const failedResults = (testCase) => (testCase.results || []).filter(result => !result.passed);
+const formatFailure = (result) => `${result.description} (${result.message})`;
+
+/**
+ * Formats test results as TAP version 13. Failures are listed in each test's YAML block.
+ * @param {object[]} suites - Results from runTestSuite.
+ * @returns {string}
+ */
+function formatTap(suites) {
+    const testCases = suites.flatMap(suite => suite.testCases.map(testCase => ({ suite, testCase })));
+    const lines = ['TAP version 13', `1..${testCases.length}`];
+    testCases.forEach(({ suite, testCase }, index) => {
+        const title = `${suite.name}: ${testCase.name}`.replace(/#/g, '\\#');
+        if (testCase.skipped) {
+            lines.push(`ok ${index + 1} - ${title} # SKIP ${testCase.skipped}`);
+            return;
+        }
+        const failures = failedResults(testCase);
+        if (!testCase.error && failures.length === 0) {
+            lines.push(`ok ${index + 1} - ${title}`);
+            return;
+        }
+        lines.push(`not ok ${index + 1} - ${title}`, '  ---');
+        if (testCase.error) {
+            lines.push(`  error: ${JSON.stringify(testCase.error)}`); // A JSON string is a valid YAML string
+        }
+        if (failures.length > 0) {
+            lines.push('  failures:', ...failures.map(result => `    - ${JSON.stringify(formatFailure(result))}`));
+        }
+        lines.push(`  duration_ms: ${testCase.time}`, '  ...');
+    });
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Formats test results as JUnit XML: a testsuite per userscript and a testcase per test.
+ * Failed tests include the runner's log as system-out.
+ * @param {object[]} suites - Results from runTestSuite.
+ * @returns {string}
+ */
+function formatJUnit(suites) {
+    const count = (testCases, predicate) => testCases.filter(predicate).length;
+    const isError = (testCase) => Boolean(testCase.error);
+    const isFailure = (testCase) => !testCase.error && failedResults(testCase).length > 0;
+    const seconds = (ms) => (ms / 1000).toFixed(3);
+    const allCases = suites.flatMap(suite => suite.testCases);
+    const totalTime = allCases.reduce((sum, testCase) => sum + testCase.time, 0);
+
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<testsuites name="userscripts" tests="${allCases.length}" failures="${count(allCases, isFailure)}" errors="${count(allCases, isError)}" skipped="${count(allCases, testCase => testCase.skipped)}" time="${seconds(totalTime)}">`,
+    ];
+    for (const suite of suites) {
+        const suiteTime = suite.testCases.reduce((sum, testCase) => sum + testCase.time, 0);
+        lines.push(`  <testsuite name="${escapeXml(suite.name)}" tests="${suite.testCases.length}" failures="${count(suite.testCases, isFailure)}" errors="${count(suite.testCases, isError)}" skipped="${count(suite.testCases, testCase => testCase.skipped)}" time="${seconds(suiteTime)}">`);
+        for (const testCase of suite.testCases) {
+            const opening = `    <testcase classname="${escapeXml(suite.scriptName)}" name="${escapeXml(testCase.name)}" time="${seconds(testCase.time)}"`;
+            const failures = failedResults(testCase);
+            if (testCase.skipped) {
+                lines.push(`${opening}>`, `      <skipped message="${escapeXml(testCase.skipped)}"/>`, '    </testcase>');
+            } else if (!testCase.error && failures.length === 0) {
+                lines.push(`${opening}/>`);
+            } else {
+                lines.push(`${opening}>`);
+                if (testCase.error) {
+                    lines.push(`      <error message="${escapeXml(testCase.error)}"/>`);
+                }
+                if (failures.length > 0) {
+                    lines.push(`      <failure message="${failures.length} of ${testCase.results.length} assertions failed">${escapeXml(failures.map(formatFailure).join('\n'))}</failure>`);
+                }
+                if (testCase.log) {
+                    lines.push(`      <system-out>${escapeXml(testCase.log)}</system-out>`);
+                }
+                lines.push('    </testcase>');
+            }
+        }
+        lines.push('  </testsuite>');
+    }
+    lines.push('</testsuites>');
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Runs the spec of every userscript in a directory and writes a TAP or JUnit report.
+ * Each test runs in its own runner process, one after another. Scripts without a spec are reported as skipped.
+ * Progress goes to stderr, so a report written to stdout can be piped.
+ * @param {object} options
+ * @param {string} options.dir - The userscripts directory.
+ * @param {string} [options.reporter='tap'] - 'tap' or 'junit'.
+ * @param {string | null} [options.reportFile] - Where to write the report; stdout if not given.
+ * @param {number} options.storageFormatVersion - Version of the storage file layout to seed.
+ * @param {string} options.browser - Passed on to each run, like the options below.
+ * @param {boolean} options.headless
+ * @param {string} options.polyfillPath
+ * @param {string} options.cacheDir
+ * @param {string} options.connectMode
+ * @param {number} options.menuCommandTimeout
+ * @param {string | null} [options.logFile] - Event log every run appends to.
+ * @returns {Promise<{ passed: number, failed: number, skipped: number }>} - Errors count as failed.
+ */
+async function runTestSuite(options) {
+    const { dir, reporter = 'tap', reportFile = null } = options;
+    const scripts = await findSpecs(dir);
+    const workRoot = tmp.dirSync({ unsafeCleanup: true, prefix: 'userscript-tests-' });
+    const suites = [];
+    const summary = { passed: 0, failed: 0, skipped: 0 };
+    logToStderr(); // Keeps stdout free for the report
+
+    try {
+        for (const [scriptIndex, { file, specPath }] of scripts.entries()) {
+            let storageId = file;
+            const suite = { name: file, scriptName: file, testCases: [] };
+            suites.push(suite);
+            if (!specPath) {
+                logger.log(`[Test] ${file}: skipped, no ${file.slice(0, -'.user.js'.length)}${SPEC_SUFFIX}.`);
+                suite.testCases.push({ name: 'default', skipped: 'no spec file', time: 0 });
+                summary.skipped++;
+                continue;
+            }
+
+            let tests;
+            try {
+                const metadata = parseMetadata(await fs.readFile(path.join(dir, file), 'utf8'));
+                suite.scriptName = metadata.name?.[0] || file; // Same name and storage ID the runner uses
+                storageId = getStorageId(metadata, suite.scriptName);
+                tests = await loadSpec(specPath);
+            } catch (specError) {
+                logger.error(`[Test] ${file}: ${specError.message}`);
+                suite.testCases.push({ name: 'spec', error: specError.message, time: 0 });
+                summary.failed++;
+                continue;
+            }
+
+            for (const [testIndex, test] of tests.entries()) {
+                const workDir = path.join(workRoot.name, `${scriptIndex + 1}-${testIndex + 1}`);
+                await fs.mkdir(workDir, { recursive: true });
+                logger.log(`[Test] ${file}: running "${test.name}"...`);
+                const { results, error, log, time } = await runTest(test, { file, dir, storageId }, workDir, options);
+                const testCase = { name: test.name, results, error, time };
+                const failures = failedResults(testCase);
+                if (error || failures.length > 0) {
+                    testCase.log = log;
+                    summary.failed++;
+                    logger.error(`[Test] ${file}: "${test.name}" FAILED${error ? `: ${error}` : ''}`);
+                    failures.forEach(result => logger.error(`  - ${formatFailure(result)}`));
+                } else {
+                    summary.passed++;
+                    logger.log(`[Test] ${file}: "${test.name}" passed (${results.length} assertions, ${time} ms).`);
+                }
+                suite.testCases.push(testCase);
+            }
+        }
+    } finally {
+        workRoot.removeCallback();
+    }
+
+    const report = reporter === 'junit' ? formatJUnit(suites) : formatTap(suites);
+    if (reportFile) {
+        await fs.writeFile(reportFile, report, 'utf8');
+        logger.log(`[Test] Wrote ${reporter === 'junit' ? 'JUnit' : 'TAP'} report to ${reportFile}`);
+    } else {
+        process.stdout.write(report);
+    }
+    logger.log(`[Test] ${summary.passed} passed, ${summary.failed} failed, ${summary.skipped} skipped.`);
+    return summary;
+}
+
+
+module.exports = {
+    REPORTERS,
+    runTestSuite,
+    // Internal helpers not exported by default
+    // loadSpec,
+    // formatTap,
+    // formatJUnit
+};
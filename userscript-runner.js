@@ -1,6 +1,8 @@
 const fs = require('fs').promises; // Use fs.promises for async operations
 const path = require('path');
 const { URL } = require('url'); // Use URL class for parsing
+const { loadDependency, guessMimeType } = require('./resource-cache');
+const { logger } = require('./logger');
 
 /**
  * Parses the metadata block of a userscript.
@@ -12,16 +14,20 @@ function parseMetadata(scriptContent) {
     const metaBlock = scriptContent.match(/\/\/\s*==UserScript==([\s\S]*?)\/\/\s*==\/UserScript==/);
     if (!metaBlock) {
         // If no block found, treat as invalid script for matching purposes
-        console.warn('Could not find metadata block in script.');
-        return { match: [], runAt: 'document-start', name: ['Unnamed Script'] }; // Return empty match array
+        logger.warn('Could not find metadata block in script.');
+        return { match: [], include: [], exclude: [], 'exclude-match': [], runAt: 'document-start', name: ['Unnamed Script'] }; // Return empty rule arrays
     }
 
+    // Keep the raw block for GM_info.scriptMetaStr
+    metadata.metaStr = metaBlock[0];
+
     const lines = metaBlock[1].trim().split('\n');
     for (let line of lines) {
         line = line.trim();
-        const match = line.match(/^\/\/\s*@(\S+)\s+(.*)/);
+        // Some keys have no value, like @noframes; they are stored with an empty string
+        const match = line.match(/^\/\/\s*@(\S+)(?:\s+(.*))?$/);
         if (match) {
-            const [, key, value] = match;
+            const [, key, value = ''] = match;
             const trimmedValue = value.trim();
             // Initialize as array if first time seeing key
             if (!metadata[key]) {
@@ -32,18 +38,23 @@ function parseMetadata(scriptContent) {
     }
 
     // Provide defaults and validation
-    if (!metadata.match || metadata.match.length === 0) {
-        // GM spec requires at least one @match or @include. We only support @match.
+    // Rule keys are always arrays so callers don't need to guard against undefined
+    metadata.match = metadata.match || [];
+    metadata.include = metadata.include || [];
+    metadata.exclude = metadata.exclude || [];
+    metadata['exclude-match'] = metadata['exclude-match'] || [];
+
+    if (metadata.match.length === 0 && metadata.include.length === 0) {
+        // GM spec requires at least one @match or @include.
         // If none provided, it shouldn't match anything.
-        console.warn(`Script "${metadata.name?.[0] || 'Unnamed'}" has no @match rules. It will not run.`);
-        metadata.match = []; // Explicitly set to empty array
+        logger.warn(`Script "${metadata.name?.[0] || 'Unnamed'}" has no @match or @include rules. It will not run.`);
     }
 
     // Use the first @run-at value, default to document-start
     metadata.runAt = metadata['run-at']?.[0]?.toLowerCase() || 'document-start';
     const validRunAt = ['document-start', 'document-end', 'document-idle'];
     if (!validRunAt.includes(metadata.runAt)) {
-        console.warn(`Invalid @run-at value "${metadata.runAt}" in script "${metadata.name?.[0] || 'Unnamed'}". Defaulting to "document-start".`);
+        logger.warn(`Invalid @run-at value "${metadata.runAt}" in script "${metadata.name?.[0] || 'Unnamed'}". Defaulting to "document-start".`);
         metadata.runAt = 'document-start';
     }
 
@@ -64,27 +75,33 @@ function parseMetadata(scriptContent) {
  */
 function matchPatternToRegExp(pattern) {
     if (pattern === '<all_urls>') {
-        // Matches http and https schemes only.
-        return /^https?:\/\/.*/;
+        // Matches http, https and file schemes.
+        return /^(?:https?|file):\/\/.*/;
     }
 
     try {
+        // file:// patterns have no host part: file:///path/*
+        const fileMatch = pattern.match(/^file:\/\/(?<path>\/.*)$/);
+        if (fileMatch) {
+            const filePathRegex = fileMatch.groups.path.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+            return new RegExp(`^file:\/\/${filePathRegex}$`);
+        }
+
         // Match pattern structure: scheme://host/path
         // Scheme: *, http, https
         // Host: *, *.domain, domain
         // Path: /*, /path/*, /path
         const match = pattern.match(/^(?<scheme>\*|https?):\/\/(?<host>[^\/]+)(?<path>\/.*)?$/);
         if (!match || !match.groups) {
-            // Support for file:// scheme could be added if needed, but less common for GM scripts
             if (/^file:\/\//.test(pattern)) {
-                 console.warn(`Match pattern "${pattern}" uses unsupported 'file://' scheme. Skipping.`);
+                 logger.warn(`Match pattern "${pattern}" is not a valid 'file://' pattern (expected file:///path). Skipping.`);
                  return null;
             }
              if (/^(\*|https?):\/\/\*\//.test(pattern)) {
-                 console.warn(`Match pattern "${pattern}" has an invalid host ('*'). Skipping.`);
+                 logger.warn(`Match pattern "${pattern}" has an invalid host ('*'). Skipping.`);
                  return null; // Host cannot be '*' if path is also specified
              }
-            console.warn(`Invalid match pattern format: "${pattern}". Must be scheme://host/path. Skipping.`);
+            logger.warn(`Invalid match pattern format: "${pattern}". Must be scheme://host/path. Skipping.`);
             return null;
         }
 
@@ -107,12 +124,12 @@ function matchPatternToRegExp(pattern) {
              // If we reach here with host '*', it implies a pattern like 'http://*' which is invalid per spec.
              // However, some interpretations allow it to match any host for that scheme. Let's allow it for flexibility,
              // matching any sequence of non-slash characters.
-             console.warn(`Match pattern "${pattern}" uses a wildcard host ('*') which might have ambiguous interpretations. Matching any host.`);
+             logger.warn(`Match pattern "${pattern}" uses a wildcard host ('*') which might have ambiguous interpretations. Matching any host.`);
              hostRegex = '[^\\/]+';
         }
         // Ensure the host doesn't contain '*' except for the *. prefix case already handled.
         else if (hostRegex.includes('*')) {
-            console.warn(`Invalid wildcard usage in host part of pattern: "${pattern}". Skipping.`);
+            logger.warn(`Invalid wildcard usage in host part of pattern: "${pattern}". Skipping.`);
             return null;
         }
 
@@ -126,33 +143,80 @@ function matchPatternToRegExp(pattern) {
         const finalRegexString = `^${schemeRegex}:\/\/${hostRegex}${pathRegex}$`;
         return new RegExp(finalRegexString);
     } catch (e) {
-        console.error(`Error converting match pattern "${pattern}" to RegExp:`, e);
+        logger.error(`Error converting match pattern "${pattern}" to RegExp:`, e);
         return null;
     }
 }
 
 /**
- * Checks if a URL matches any of the provided Greasemonkey match patterns.
- * @param {string[]} patterns - An array of match pattern strings.
- * @param {string} urlString - The URL string to test.
- * @returns {boolean} - True if the URL matches any pattern, false otherwise.
+ * Converts a Tampermonkey @include/@exclude rule to a RegExp.
+ * Rules wrapped in slashes (e.g. /^https?:\/\/example\.com/i) are used as regular expressions.
+ * Anything else is a glob where '*' matches any sequence of characters and a '.tld'
+ * host suffix matches any top-level domain (e.g. http://www.google.tld/*).
+ * Globs are matched case-insensitively, like Tampermonkey does.
+ * @param {string} rule - The @include or @exclude value.
+ * @returns {RegExp | null} - A RegExp object or null if the rule is invalid.
  */
-function urlMatches(patterns, urlString) {
+function includePatternToRegExp(rule) {
+    const regexRule = rule.match(/^\/(.+)\/([a-z]*)$/);
+    if (regexRule) {
+        try {
+            return new RegExp(regexRule[1], regexRule[2]);
+        } catch (e) {
+            logger.warn(`Invalid regular expression rule "${rule}": ${e.message}. Skipping.`);
+            return null;
+        }
+    }
+
+    try {
+        const globRegex = rule
+            .replace(/[.+?^${}()|[\]\\]/g, '\\$&') // Escape regex chars (but not '*')
+            .replace(/\*/g, '.*')
+            // '.tld' in the host part expands to any (possibly two-level) top-level domain
+            .replace(/\\\.tld(?=[\/:]|$)/, '\\.[a-z]{2,}(?:\\.[a-z]{2,})?');
+        return new RegExp(`^${globRegex}$`, 'i');
+    } catch (e) {
+        logger.error(`Error converting include rule "${rule}" to RegExp:`, e);
+        return null;
+    }
+}
+
+/**
+ * Parses a URL for matching purposes.
+ * @param {string} urlString - The URL string to parse.
+ * @returns {URL | null} - The parsed URL, or null if it is invalid or uses an unsupported scheme.
+ */
+function parseUrlForMatching(urlString) {
     let parsedUrl;
     try {
         parsedUrl = new URL(urlString);
-        // Basic check: GM scripts usually target http/https
-        if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
-            // console.warn(`URL "${urlString}" uses non-http/https protocol. Skipping match check.`);
-            return false;
-        }
     } catch (e) {
-        console.error(`Invalid URL provided for matching: "${urlString}"`);
-        return false;
+        logger.error(`Invalid URL provided for matching: "${urlString}"`);
+        return null;
+    }
+    // Userscripts only ever target http/https and local files
+    if (!['http:', 'https:', 'file:'].includes(parsedUrl.protocol)) {
+        // console.warn(`URL "${urlString}" uses unsupported protocol. Skipping match check.`);
+        return null;
     }
+    return parsedUrl;
+}
+
+/**
+ * Checks if a URL matches any of the provided Greasemonkey match patterns.
+ * @param {string[]} patterns - An array of match pattern strings.
+ * @param {string} urlString - The URL string to test.
+ * @returns {boolean} - True if the URL matches any pattern, false otherwise.
+ */
+function urlMatches(patterns, urlString) {
+    const parsedUrl = parseUrlForMatching(urlString);
+    if (!parsedUrl) return false;
 
     // Use the URL *without* the hash for matching, as per GM spec.
-    const urlToMatch = parsedUrl.origin + parsedUrl.pathname + parsedUrl.search;
+    // file: URLs have an opaque ('null') origin, so rebuild them from the path.
+    const urlToMatch = parsedUrl.protocol === 'file:'
+        ? `file://${parsedUrl.pathname}${parsedUrl.search}`
+        : parsedUrl.origin + parsedUrl.pathname + parsedUrl.search;
 
 
     for (const pattern of patterns) {
@@ -166,28 +230,204 @@ function urlMatches(patterns, urlString) {
     return false;
 }
 
+/**
+ * Checks if a URL matches any of the provided @include/@exclude rules.
+ * Unlike @match, these rules are tested against the full URL including the hash.
+ * @param {string[]} rules - An array of @include or @exclude rule strings.
+ * @param {string} urlString - The URL string to test.
+ * @returns {boolean} - True if the URL matches any rule, false otherwise.
+ */
+function urlMatchesIncludes(rules, urlString) {
+    const parsedUrl = parseUrlForMatching(urlString);
+    if (!parsedUrl) return false;
+
+    for (const rule of rules) {
+        const regex = includePatternToRegExp(rule);
+        if (regex && regex.test(parsedUrl.href)) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Decides whether a loaded userscript should run on a URL.
+ * Follows Tampermonkey semantics: @exclude and @exclude-match always win,
+ * otherwise the script runs if any @match or @include rule matches.
+ * @param {object} script - A script object as returned by loadUserscripts.
+ * @param {string} urlString - The URL string to test.
+ * @returns {boolean} - True if the script should run on the URL.
+ */
+function scriptMatchesUrl(script, urlString) {
+    if (urlMatches(script.excludeMatchPatterns, urlString) || urlMatchesIncludes(script.excludePatterns, urlString)) {
+        return false;
+    }
+    return urlMatches(script.matchPatterns, urlString) || urlMatchesIncludes(script.includePatterns, urlString);
+}
+
+// Hosts covered by '@connect localhost'
+const LOCALHOST_NAMES = ['localhost', '127.0.0.1', '[::1]'];
+
+/**
+ * Checks a GM_xmlhttpRequest URL against a script's @connect rules, like Tampermonkey.
+ * A rule is a host name that also covers its subdomains (example.com allows api.example.com),
+ * an IP address, `localhost`, `self` (the host of the page the script runs on) or `*` (any host).
+ * Rules written as URLs or with a `*.` prefix are reduced to their host.
+ * @param {string[]} connectRules - The script's @connect values.
+ * @param {string} requestUrl - The URL being requested.
+ * @param {string} pageUrl - The URL of the document the script runs in, for `self`.
+ * @returns {boolean} - True if the request is allowed.
+ */
+function isConnectAllowed(connectRules, requestUrl, pageUrl) {
+    let requestHost;
+    try {
+        requestHost = new URL(requestUrl).hostname.toLowerCase();
+    } catch (e) {
+        return false;
+    }
+    let pageHost = null;
+    try {
+        pageHost = new URL(pageUrl).hostname.toLowerCase();
+    } catch (e) {
+        // No usable page URL (e.g. about:blank), so 'self' matches nothing
+    }
+
+    return connectRules.some(rule => {
+        let host = rule.trim().toLowerCase();
+        if (host === '*') return true;
+        if (host === 'self') return requestHost === pageHost;
+        if (host === 'localhost') return LOCALHOST_NAMES.includes(requestHost);
+
+        if (host.includes('://')) {
+            try {
+                host = new URL(host).hostname;
+            } catch (e) {
+                return false;
+            }
+        }
+        host = host.replace(/^\*?\./, '');
+        return host !== '' && (requestHost === host || requestHost.endsWith(`.${host}`));
+    });
+}
+
+/**
+ * Builds the regular expressions that decide where a script runs, in a form that can be sent to the browser.
+ * document-start scripts are registered before the document's URL is known, so they check it themselves
+ * when they run (see wrapUserscript's matchRules option).
+ * @param {object} script - A script object as returned by loadUserscripts.
+ * @returns {{ matches: object[], includes: object[], excludes: object[], excludeMatches: object[] }} -
+ *   Lists of `{ source, flags }` objects. `matches`/`excludeMatches` are tested against the URL without its hash.
+ */
+function getMatchRules(script) {
+    const toSources = (patterns, toRegExp) => patterns
+        .map(toRegExp)
+        .filter(regex => regex)
+        .map(regex => ({ source: regex.source, flags: regex.flags }));
+
+    return {
+        matches: toSources(script.matchPatterns, matchPatternToRegExp),
+        includes: toSources(script.includePatterns, includePatternToRegExp),
+        excludes: toSources(script.excludePatterns, includePatternToRegExp),
+        excludeMatches: toSources(script.excludeMatchPatterns, matchPatternToRegExp),
+    };
+}
+
+/**
+ * Returns the storage ID for a script: its @namespace and @name, like real managers use to identify a script.
+ * GM values are stored per storage ID, so two scripts using the same key don't overwrite each other.
+ * Both parts are URI-encoded, so the '/' between them can't appear in either and no two scripts share an ID.
+ * @param {object} metadata - The parsed metadata of the script.
+ * @param {string} name - The resolved script name.
+ * @returns {string} - The storage ID, e.g. "https%3A%2F%2Fexample.com%2Fscripts/Example%20Logger".
+ */
+function getStorageId(metadata, name) {
+    const namespace = metadata.namespace?.[0];
+    return namespace ? `${encodeURIComponent(namespace)}/${encodeURIComponent(name)}` : encodeURIComponent(name);
+}
+
+/**
+ * Returns the storage ID older versions used for a script, with the parts joined unencoded.
+ * @param {object} metadata - The parsed metadata of the script.
+ * @param {string} name - The resolved script name.
+ * @returns {string} - The old storage ID, e.g. "https://example.com/scripts/Example Logger".
+ */
+function getLegacyStorageId(metadata, name) {
+    const namespace = metadata.namespace?.[0];
+    return namespace ? `${namespace}/${name}` : name;
+}
+
+/**
+ * Loads the @require dependencies of a script, in declaration order.
+ * @param {string[]} requireSpecs - The @require values from the metadata block.
+ * @param {string} scriptPath - Path of the userscript, used to resolve relative requires.
+ * @param {string} cacheDir - Directory holding cached remote dependencies.
+ * @returns {Promise<Array<{ url: string, content: string }>>}
+ * @throws {Error} - If any dependency cannot be loaded or fails its integrity check.
+ */
+async function loadRequires(requireSpecs, scriptPath, cacheDir) {
+    const requires = [];
+    for (const spec of requireSpecs) {
+        const { url, content } = await loadDependency(spec, { baseDir: path.dirname(scriptPath), cacheDir });
+        requires.push({ url, content: content.toString('utf8') });
+    }
+    return requires;
+}
+
+/**
+ * Loads the @resource entries of a script.
+ * Each @resource line has the form `name url`; the URL may be remote, file:// or relative.
+ * @param {string[]} resourceLines - The @resource values from the metadata block.
+ * @param {string} scriptPath - Path of the userscript, used to resolve relative resources.
+ * @param {string} cacheDir - Directory holding cached remote dependencies.
+ * @returns {Promise<object>} - Map of resource name to `{ url, mimeType, content }`, content base64 encoded.
+ * @throws {Error} - If any resource cannot be loaded or fails its integrity check.
+ */
+async function loadResources(resourceLines, scriptPath, cacheDir) {
+    const resources = {};
+    for (const line of resourceLines) {
+        const resourceMatch = line.match(/^(\S+)\s+(\S+)$/);
+        if (!resourceMatch) {
+            logger.warn(`Invalid @resource line "${line}" in "${scriptPath}". Expected "name url". Skipping.`);
+            continue;
+        }
+        const [, name, spec] = resourceMatch;
+        const { url, content, contentType } = await loadDependency(spec, { baseDir: path.dirname(scriptPath), cacheDir });
+        resources[name] = {
+            url,
+            // Prefer the server's Content-Type, but generic binary types aren't useful for data: URLs
+            mimeType: contentType && !contentType.startsWith('application/octet-stream') ? contentType : guessMimeType(url),
+            content: content.toString('base64'),
+        };
+    }
+    return resources;
+}
 
 /**
  * Loads userscripts from a specified directory asynchronously.
- * Parses metadata including @match and @run-at.
+ * Parses metadata including @match, @include, @exclude, @exclude-match and @run-at,
+ * and loads @require and @resource dependencies (remote ones through the on-disk cache).
  * @param {string} directory - The directory containing userscripts.
+ * @param {object} [options]
+ * @param {string} [options.cacheDir] - Directory for cached remote dependencies. Defaults to `.userscript-cache`.
+ * @param {string[]} [options.only] - File names to load; other scripts in the directory are ignored. Defaults to all.
  * @returns {Promise<Array<object>>} - A promise that resolves to an array of script objects.
  */
-async function loadUserscripts(directory) {
+async function loadUserscripts(directory, options = {}) {
+    const cacheDir = path.resolve(options.cacheDir || '.userscript-cache');
     const scripts = [];
     let files;
 
     try {
         files = await fs.readdir(directory);
     } catch (err) {
-        console.error(`Error reading userscript directory "${directory}":`, err.message);
+        logger.error(`Error reading userscript directory "${directory}":`, err.message);
         // If directory doesn't exist or isn't readable, return empty array
         if (err.code === 'ENOENT') {
-             console.warn(`Userscript directory "${directory}" not found.`);
+             logger.warn(`Userscript directory "${directory}" not found.`);
              return [];
         }
          if (err.code === 'EACCES') {
-             console.warn(`Permission denied reading userscript directory "${directory}".`);
+             logger.warn(`Permission denied reading userscript directory "${directory}".`);
              return [];
          }
         throw err; // Re-throw other unexpected errors
@@ -196,45 +436,72 @@ async function loadUserscripts(directory) {
     for (const file of files) {
         // Ensure it's a .user.js file
         if (!file.endsWith('.user.js')) continue;
+        if (options.only && !options.only.includes(file)) continue;
 
         const fullPath = path.join(directory, file);
         let content;
         try {
             content = await fs.readFile(fullPath, 'utf8');
         } catch (err) {
-            console.error(`Error reading userscript file "${fullPath}":`, err.message);
+            logger.error(`Error reading userscript file "${fullPath}":`, err.message);
             continue; // Skip this script if reading fails
         }
 
         try {
             const metadata = parseMetadata(content); // Already handles defaults and validation
 
-            // Basic validation: ensure match patterns exist
-            if (!metadata.match || metadata.match.length === 0) {
-                 console.warn(`Skipping script "${file}" because it has no valid @match patterns.`);
+            // Basic validation: ensure match or include rules exist
+            if (metadata.match.length === 0 && metadata.include.length === 0) {
+                 logger.warn(`Skipping script "${file}" because it has no valid @match or @include rules.`);
                  continue;
             }
 
+            let requires;
+            try {
+                requires = await loadRequires(metadata.require || [], fullPath, cacheDir);
+            } catch (requireError) {
+                logger.error(`Skipping script "${file}" because a @require failed to load:`, requireError.message);
+                continue;
+            }
+
+            let resources;
+            try {
+                resources = await loadResources(metadata.resource || [], fullPath, cacheDir);
+            } catch (resourceError) {
+                logger.error(`Skipping script "${file}" because a @resource failed to load:`, resourceError.message);
+                continue;
+            }
+
+            const name = metadata.name?.[0] || path.basename(file); // Use @name or filename
             scripts.push({
                 path: fullPath,
-                name: metadata.name?.[0] || path.basename(file), // Use @name or filename
+                name,
+                storageId: getStorageId(metadata, name), // Key of this script's GM values
+                legacyStorageId: getLegacyStorageId(metadata, name), // Key older versions stored them under
                 content,
                 matchPatterns: metadata.match,
+                includePatterns: metadata.include,
+                excludePatterns: metadata.exclude,
+                excludeMatchPatterns: metadata['exclude-match'],
                 runAt: metadata.runAt, // Already validated in parseMetadata
+                noframes: Boolean(metadata.noframes), // @noframes: only run in the top-level document
+                connects: metadata.connect || [], // @connect: hosts GM_xmlhttpRequest may reach
+                requires, // Loaded @require dependencies, injected before content by the script wrapper
+                resources, // Loaded @resource entries, keyed by name
                 metadata // Store full metadata
             });
         } catch (err) {
             // Catch errors specifically from parseMetadata if it were to throw
-            console.error(`Error processing metadata for script "${fullPath}":`, err.message);
+            logger.error(`Error processing metadata for script "${fullPath}":`, err.message);
             // Optionally skip script on metadata parse error
             // continue;
         }
     }
 
     if (scripts.length > 0) {
-        console.log(`Loaded ${scripts.length} userscripts from "${directory}".`);
+        logger.log(`Loaded ${scripts.length} userscripts from "${directory}".`);
     } else {
-        console.log(`No userscripts found or loaded from "${directory}".`);
+        logger.log(`No userscripts found or loaded from "${directory}".`);
     }
     return scripts;
 }
@@ -243,7 +510,11 @@ async function loadUserscripts(directory) {
 module.exports = {
     loadUserscripts,
     urlMatches,
+    scriptMatchesUrl,
+    getMatchRules,
+    isConnectAllowed,
+    parseMetadata, // Also used by the test runner to find a script's storage ID
+    getStorageId,
     // Internal helpers not exported by default
-    // parseMetadata,
-    // matchPatternToRegExp
+    // matchPatternToRegExp, getLegacyStorageId
 };
\ No newline at end of file
@@ -0,0 +1,244 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { parseUrlMatcher } = require('./network-rules');
+const { guessMimeType } = require('./resource-cache');
+
+const FIXTURE_UNMATCHED_POLICIES = ['passthrough', 'fail'];
+
+/**
+ * Validates a fixture and fills in its defaults.
+ * @param {object} fixture - A fixture as written in a fixtures file, see the README.
+ * @param {string} origin - Where the fixture came from, for error messages.
+ * @param {string} baseDir - Directory that relative body files are resolved against.
+ * @returns {object} - The normalized fixture.
+ * @throws {Error} - If the fixture is invalid.
+ */
+function normalizeFixture(fixture, origin, baseDir) {
+    if (!fixture || typeof fixture !== 'object') {
+        throw new Error(`GM_xmlhttpRequest fixture ${origin} must be an object.`);
+    }
+    if (typeof fixture.url !== 'string' || !fixture.url) {
+        throw new Error(`GM_xmlhttpRequest fixture ${origin} needs a url pattern.`);
+    }
+    const bodySources = ['body', 'json', 'file'].filter(key => fixture[key] !== undefined);
+    if (bodySources.length > 1) {
+        throw new Error(`GM_xmlhttpRequest fixture ${origin} can only have one of body, json and file.`);
+    }
+    const outcomes = [fixture.timeout && 'timeout', fixture.error !== undefined && 'error', (bodySources.length > 0 || fixture.status !== undefined) && 'response'].filter(Boolean);
+    if (outcomes.length > 1) {
+        throw new Error(`GM_xmlhttpRequest fixture ${origin} can either respond, time out or fail, not ${outcomes.join(' and ')}.`);
+    }
+    const status = fixture.status ?? 200;
+    if (!(Number.isInteger(status) && status >= 200 && status <= 599)) {
+        throw new Error(`GM_xmlhttpRequest fixture ${origin} has an invalid status "${fixture.status}".`);
+    }
+    const delay = fixture.delay === undefined ? 0 : Number(fixture.delay);
+    if (!Number.isFinite(delay) || delay < 0) {
+        throw new Error(`GM_xmlhttpRequest fixture ${origin} has an invalid delay "${fixture.delay}".`);
+    }
+
+    let url;
+    try {
+        url = parseUrlMatcher(fixture.url);
+    } catch (e) {
+        throw new Error(`GM_xmlhttpRequest fixture ${origin}: ${e.message}`);
+    }
+    return {
+        url,
+        pattern: fixture.url,
+        methods: fixture.method === undefined ? null : [].concat(fixture.method).map(method => String(method).toUpperCase()),
+        status,
+        statusText: fixture.statusText,
+        headers: fixture.headers || {},
+        body: fixture.body === undefined ? undefined : String(fixture.body),
+        json: fixture.json,
+        file: fixture.file === undefined ? undefined : path.resolve(baseDir, String(fixture.file)),
+        delay,
+        timeout: Boolean(fixture.timeout),
+        error: fixture.error === undefined ? undefined : String(fixture.error || 'Network error'),
+        origin,
+    };
+}
+
+/**
+ * Parses a fixture given on the command line: `[METHOD ]<url>=<response>[@<delay ms>]`, where response is
+ * `<status>`, `<status>:<body file>`, `timeout` or `error[:<message>]`. The last '=' separates the response.
+ * Examples: `**\/api/items=200:fixtures/items.json`, `POST **\/api/save=500`, `**\/api/slow=timeout@3000`.
+ * @param {string} spec - The --xhr-fixture value.
+ * @returns {object} - A normalized fixture.
+ * @throws {Error} - If the value is invalid.
+ */
+function parseCliFixture(spec) {
+    const origin = `"${spec}" (--xhr-fixture)`;
+    const separatorIndex = spec.lastIndexOf('=');
+    if (separatorIndex === -1) {
+        throw new Error(`GM_xmlhttpRequest fixture ${origin} is missing "=response".`);
+    }
+    const matcher = spec.slice(0, separatorIndex).trim();
+    const responseSpec = spec.slice(separatorIndex + 1).trim();
+
+    const fixture = {};
+    const methodMatch = matcher.match(/^([A-Za-z]+)\s+(\S.*)$/);
+    if (methodMatch) {
+        fixture.method = methodMatch[1];
+        fixture.url = methodMatch[2];
+    } else {
+        fixture.url = matcher;
+    }
+
+    const delayMatch = responseSpec.match(/^(.*)@(\d+)$/s);
+    const response = delayMatch ? delayMatch[1] : responseSpec;
+    if (delayMatch) fixture.delay = parseInt(delayMatch[2], 10);
+
+    const statusMatch = response.match(/^(\d{3})(?::(.+))?$/s);
+    if (response === 'timeout') {
+        fixture.timeout = true;
+    } else if (response === 'error' || response.startsWith('error:')) {
+        fixture.error = response.slice(6) || 'Network error';
+    } else if (statusMatch) {
+        fixture.status = parseInt(statusMatch[1], 10);
+        if (statusMatch[2]) fixture.file = statusMatch[2];
+    } else {
+        throw new Error(`GM_xmlhttpRequest fixture ${origin} has an unknown response "${response}". Expected <status>, <status>:<file>, timeout or error[:message].`);
+    }
+    return normalizeFixture(fixture, origin, process.cwd());
+}
+
+// A fixtures file holds one fixture, an array of fixtures, or an object with a `fixtures` array
+async function readFixturesFile(file) {
+    let data;
+    try {
+        data = JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (err) {
+        throw new Error(`Error reading GM_xmlhttpRequest fixtures file "${file}": ${err.message}`);
+    }
+    const fixtures = Array.isArray(data) ? data : Array.isArray(data?.fixtures) ? data.fixtures : [data];
+    return fixtures.map((fixture, index) => normalizeFixture(fixture, `#${index + 1} in "${file}"`, path.dirname(file)));
+}
+
+/**
+ * Loads GM_xmlhttpRequest fixtures from a JSON file or a directory of JSON files, and the command line.
+ * Files come first (a directory's files in name order), then CLI fixtures; the first matching fixture answers a request.
+ * @param {object} options
+ * @param {string | null} [options.fixturesPath] - A fixtures file or directory.
+ * @param {string[]} [options.cliFixtures] - --xhr-fixture values.
+ * @returns {Promise<object[]>} - Normalized fixtures.
+ * @throws {Error} - If a file can't be read, a fixture is invalid, or a body file doesn't exist.
+ */
+async function loadXhrFixtures({ fixturesPath = null, cliFixtures = [] } = {}) {
+    const fixtures = [];
+    if (fixturesPath) {
+        let stats;
+        try {
+            stats = await fs.stat(fixturesPath);
+        } catch (err) {
+            throw new Error(`GM_xmlhttpRequest fixtures "${fixturesPath}" not found.`);
+        }
+        const files = stats.isDirectory()
+            ? (await fs.readdir(fixturesPath)).filter(name => name.endsWith('.json')).sort().map(name => path.join(fixturesPath, name))
+            : [fixturesPath];
+        for (const file of files) {
+            fixtures.push(...await readFixturesFile(file));
+        }
+    }
+    for (const spec of cliFixtures) {
+        fixtures.push(parseCliFixture(spec));
+    }
+    for (const fixture of fixtures) {
+        if (fixture.file === undefined) continue;
+        try {
+            await fs.access(fixture.file);
+        } catch (e) {
+            throw new Error(`GM_xmlhttpRequest fixture ${fixture.origin} uses "${fixture.file}", which can't be read.`);
+        }
+    }
+    return fixtures;
+}
+
+// Waits for `ms`, or rejects as soon as the request is aborted (by the script or its own timeout)
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+    signal?.throwIfAborted();
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+    }, { once: true });
+});
+
+/**
+ * Creates the responder that answers GM_xmlhttpRequest requests from fixtures.
+ * It keeps track of requests no fixture matched and of fixtures that were never used, so they can be reported.
+ * @param {object[]} fixtures - Fixtures from loadXhrFixtures.
+ * @returns {{ respond: Function, getUnmatchedRequests: Function, getUnusedFixtures: Function }}
+ */
+function createXhrFixtureResponder(fixtures) {
+    const usedFixtures = new Set();
+    const unmatchedRequests = [];
+
+    /**
+     * Answers a request from the first matching fixture.
+     * @param {{ url: string, method: string, signal?: AbortSignal }} request - The request.
+     * @returns {Promise<{ response: Response, setCookies: string[], fixture: object } | null>} - null if no fixture matches.
+     * @throws {Error} - For timeout fixtures (with name 'TimeoutError'), error fixtures, and aborts during the delay.
+     */
+    const respond = async ({ url, method, signal }) => {
+        const fixture = fixtures.find(candidate =>
+            candidate.url.test(url) && (!candidate.methods || candidate.methods.includes(method)));
+        if (!fixture) {
+            unmatchedRequests.push(`${method} ${url}`);
+            return null;
+        }
+        usedFixtures.add(fixture);
+
+        await sleep(fixture.delay, signal);
+        if (fixture.timeout) {
+            const timeoutError = new Error(`Request timed out (fixture ${fixture.origin})`);
+            timeoutError.name = 'TimeoutError';
+            throw timeoutError;
+        }
+        if (fixture.error !== undefined) {
+            throw new Error(fixture.error);
+        }
+
+        let body = fixture.body ?? '';
+        let contentType = 'text/plain';
+        if (fixture.json !== undefined) {
+            body = JSON.stringify(fixture.json);
+            contentType = 'application/json';
+        } else if (fixture.file !== undefined) {
+            body = await fs.readFile(fixture.file);
+            contentType = guessMimeType(fixture.file);
+        }
+        const headers = new Headers({ 'content-type': contentType });
+        const setCookies = [];
+        for (const [name, value] of Object.entries(fixture.headers)) {
+            if (name.toLowerCase() === 'set-cookie') {
+                setCookies.push(...[].concat(value)); // A constructed Response can't carry Set-Cookie
+            } else {
+                headers.set(name, String(value));
+            }
+        }
+        const nullBody = [204, 205, 304].includes(fixture.status);
+        return {
+            response: new Response(nullBody ? null : body, { status: fixture.status, statusText: fixture.statusText, headers }),
+            setCookies,
+            fixture,
+        };
+    };
+
+    return {
+        respond,
+        getUnmatchedRequests: () => [...unmatchedRequests],
+        getUnusedFixtures: () => fixtures.filter(fixture => !usedFixtures.has(fixture)),
+    };
+}
+
+
+module.exports = {
+    FIXTURE_UNMATCHED_POLICIES,
+    loadXhrFixtures,
+    createXhrFixtureResponder,
+    // Internal helpers not exported by default
+    // normalizeFixture,
+    // parseCliFixture
+};